@@ -0,0 +1,4 @@
+// Same as `node cli.js report`.
+import { runCli } from "./lib/cli.js";
+
+runCli(["report", ...process.argv.slice(2)]);
@@ -0,0 +1,126 @@
+import { resolveRegion } from "./popmart.js";
+import { parseDurationMs } from "./schedule.js";
+import { STOCK_EVENT_TYPES, parsePriceThreshold } from "./stock-events.js";
+import { logger } from "./logger.js";
+
+let globalRules = null;
+
+function readBooleanEnv(name) {
+  const rawValue = (process.env[name] || "").trim().toLowerCase();
+  if (!rawValue) {
+    return false;
+  }
+  return ["1", "true", "on", "yes"].includes(rawValue);
+}
+
+function readDurationEnv(name) {
+  const rawValue = process.env[name];
+  if (!rawValue || !rawValue.trim()) {
+    return null;
+  }
+
+  const durationMs = parseDurationMs(rawValue);
+  if (durationMs === null) {
+    logger.warn(`Ignoring invalid ${name} "${rawValue}". Use seconds or a duration like "30s", "5m", "1h".`);
+  }
+  return durationMs;
+}
+
+function readPositiveIntegerEnv(name) {
+  const rawValue = process.env[name];
+  if (!rawValue || !rawValue.trim()) {
+    return null;
+  }
+
+  const parsed = Number(rawValue.trim());
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    logger.warn(`Ignoring invalid ${name} "${rawValue}". Expected a positive integer.`);
+    return null;
+  }
+  return parsed;
+}
+
+function readPriceThresholdEnv(name) {
+  const rawValue = process.env[name];
+  if (!rawValue || !rawValue.trim()) {
+    return null;
+  }
+
+  const threshold = parsePriceThreshold(rawValue);
+  if (!threshold) {
+    logger.warn(`Ignoring invalid ${name} "${rawValue}". Use an amount like "20000" or a percentage like "10%".`);
+  }
+  return threshold;
+}
+
+function loadGlobalRules() {
+  if (!globalRules) {
+    globalRules = {
+      cooldownMs: readDurationEnv("ALERT_COOLDOWN"),
+      minDelta: readPositiveIntegerEnv("ALERT_MIN_DELTA"),
+      restockOnly: readBooleanEnv("ALERT_RESTOCK_ONLY"),
+      groupSkus: readBooleanEnv("ALERT_GROUP_SKUS"),
+      priceDrop: readPriceThresholdEnv("PRICE_DROP_THRESHOLD"),
+      regionPriceDrops: new Map(),
+    };
+  }
+  return globalRules;
+}
+
+// Amounts are in each region's own currency, so PRICE_DROP_THRESHOLD_<CODE>
+// replaces PRICE_DROP_THRESHOLD for the products of one region.
+function resolveRegionPriceDrop(defaults, regionCode) {
+  const { code } = resolveRegion(regionCode);
+  if (!defaults.regionPriceDrops.has(code)) {
+    defaults.regionPriceDrops.set(code, readPriceThresholdEnv(`PRICE_DROP_THRESHOLD_${code.toUpperCase()}`));
+  }
+  return defaults.regionPriceDrops.get(code) ?? defaults.priceDrop;
+}
+
+// Product settings from the structured config win over the ALERT_* defaults.
+export function resolveAlertRules(product) {
+  const defaults = loadGlobalRules();
+  return {
+    cooldownMs: product.cooldownMs ?? defaults.cooldownMs,
+    minDelta: product.minDelta ?? defaults.minDelta,
+    restockOnly: product.restockOnly ?? defaults.restockOnly,
+    groupSkus: product.groupSkus ?? defaults.groupSkus,
+    priceDrop: product.priceDrop ?? resolveRegionPriceDrop(defaults, product.region),
+  };
+}
+
+/**
+ * Decides whether a stock event for one SKU should be sent, given the SKU's
+ * saved state (`lastNotifiedStock`, `lastNotifiedAt`). The cooldown applies to
+ * every event, restocks included, so an SKU flapping between sold out and in
+ * stock alerts at most once per cooldown. Restocks still bypass `restockOnly`
+ * and the minimum delta.
+ */
+export function isAlertAllowed(rules, event, entry, now = Date.now()) {
+  if (rules.cooldownMs && entry?.lastNotifiedAt) {
+    const sinceLastAlert = now - Date.parse(entry.lastNotifiedAt);
+    if (sinceLastAlert < rules.cooldownMs) {
+      return false;
+    }
+  }
+
+  if (event.type === STOCK_EVENT_TYPES.RESTOCK) {
+    return true;
+  }
+
+  if (rules.restockOnly) {
+    return false;
+  }
+
+  if (
+    rules.minDelta &&
+    (event.type === STOCK_EVENT_TYPES.INCREASE || event.type === STOCK_EVENT_TYPES.DECREASE)
+  ) {
+    const reference = entry?.lastNotifiedStock ?? event.previousStock;
+    if (Math.abs(event.stock - reference) < rules.minDelta) {
+      return false;
+    }
+  }
+
+  return true;
+}
@@ -0,0 +1,62 @@
+import { runMain } from "./lifecycle.js";
+import { runMonitorCommand } from "./commands/monitor.js";
+import { runCheckCommand } from "./commands/check.js";
+import { runInspectCommand } from "./commands/inspect.js";
+import { runValidateCommand } from "./commands/validate.js";
+import { runTestNotifyCommand } from "./commands/test-notify.js";
+import { runReportCommand } from "./commands/report.js";
+
+const COMMANDS = {
+  monitor: { run: runMonitorCommand, summary: "run the stock monitor (--mode system|proxy)" },
+  check: { run: runCheckCommand, summary: "check the stock of one product URL once" },
+  inspect: { run: runInspectCommand, summary: "discover the spuId and SKU ids of a product URL and save it" },
+  validate: { run: runValidateCommand, summary: "check Products.csv / products.yaml and Proxy.txt" },
+  "test-notify": { run: runTestNotifyCommand, summary: "send a sample alert through the configured channels" },
+  report: { run: runReportCommand, summary: "summarize the recorded stock history" },
+};
+
+const EXIT_USAGE = 2;
+
+function formatHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length));
+  const lines = [
+    "Usage: node cli.js <command> [options]",
+    "",
+    "Commands:",
+    ...Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`),
+    "",
+    'Run "node cli.js <command> --help" for the options of a command.',
+  ];
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Runs one subcommand. Commands resolve to the process exit code; usage
+ * mistakes are printed without a stack trace and exit with status 2.
+ */
+export function runCli(argv) {
+  const [name, ...rest] = argv;
+
+  runMain(async () => {
+    if (!name || name === "help" || name === "--help" || name === "-h") {
+      process.stdout.write(formatHelp());
+      return name ? 0 : EXIT_USAGE;
+    }
+
+    const command = COMMANDS[name];
+    if (!command) {
+      process.stderr.write(`Unknown command "${name}".\n\n${formatHelp()}`);
+      return EXIT_USAGE;
+    }
+
+    try {
+      return await command.run(rest);
+    } catch (error) {
+      if (error.code === "USAGE") {
+        process.stderr.write(`${error.message}\n`);
+        return EXIT_USAGE;
+      }
+      throw error;
+    }
+  });
+}
@@ -0,0 +1,67 @@
+import { parseArgs } from "util";
+import { parseActiveWindows } from "../schedule.js";
+
+export function createUsageError(message, usage) {
+  const error = new Error(usage ? `${message}\nUsage: ${usage}` : message);
+  error.code = "USAGE";
+  return error;
+}
+
+/**
+ * Parses a command's arguments with util.parseArgs. Unknown flags and missing
+ * values are reported together with the command's usage line.
+ */
+export function parseCommandArgs(argv, { options = {}, usage, allowPositionals = false }) {
+  try {
+    return parseArgs({
+      args: argv,
+      options: { ...options, help: { type: "boolean", short: "h" } },
+      allowPositionals,
+      strict: true,
+    });
+  } catch (error) {
+    if (typeof error.code === "string" && error.code.startsWith("ERR_PARSE_ARGS")) {
+      throw createUsageError(error.message, usage);
+    }
+    throw error;
+  }
+}
+
+export function parsePositiveIntegerFlag(name, value) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw createUsageError(`--${name} must be a positive whole number, got "${value}".`);
+  }
+  return parsed;
+}
+
+// "2000" is a fixed delay, "2000-4000" a random one between the two (ms).
+export function parseDelayRangeFlag(name, value) {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(value.trim());
+  if (!match) {
+    throw createUsageError(`--${name} must be milliseconds like 2000 or a range like 2000-4000, got "${value}".`);
+  }
+  const min = Number(match[1]);
+  const max = match[2] === undefined ? min : Number(match[2]);
+  if (max < min) {
+    throw createUsageError(`--${name} range must not end below its start, got "${value}".`);
+  }
+  return { min, max };
+}
+
+export function parseChoiceFlag(name, value, choices) {
+  const choice = value.trim().toLowerCase();
+  if (!choices.includes(choice)) {
+    throw createUsageError(`--${name} must be one of: ${choices.join(", ")}, got "${value}".`);
+  }
+  return choice;
+}
+
+export function parseWindowsFlag(name, value) {
+  try {
+    parseActiveWindows(value);
+  } catch (error) {
+    throw createUsageError(`--${name}: ${error.message}`);
+  }
+  return value;
+}
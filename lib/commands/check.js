@@ -0,0 +1,137 @@
+import { loadEnvFromFile } from "../env.js";
+import { markShutdownComplete } from "../lifecycle.js";
+import { fetchProductDetailsOnce } from "../monitor.js";
+import { validateProductConfig } from "../product-config.js";
+import {
+  deriveProductName,
+  extractSkuIdFromData,
+  extractSkuPricing,
+  extractSkuTitle,
+  isSkuMonitored,
+  resolveVariantKind,
+} from "../products.js";
+import { formatRegionPrice } from "../popmart.js";
+import { describeVariant } from "../stock-events.js";
+import { createUsageError, parseCommandArgs } from "./args.js";
+import { MODE_OPTION, PAGE_TIMEOUT_OPTION, resolveMode, resolvePageTimeout } from "./monitor.js";
+
+const USAGE = "check <url> [--mode system|proxy] [--name NAME] [--page-timeout MS] [--json]";
+
+const HELP = `Usage: ${USAGE}
+
+Loads one product page and prints the stock of every SKU. Keeps no state and sends no alerts.
+
+  --mode            system (default) or proxy
+  --name            product name to print instead of the one taken from the URL
+  --page-timeout    page load timeout in ms
+  --json            print the result as JSON
+`;
+
+export function describeSkus(product, data) {
+  return data.skus.map((sku) => {
+    const title = extractSkuTitle(sku);
+    const stock = sku?.stock?.onlineStock;
+    const kind = resolveVariantKind(product, sku);
+    const { price, discountPrice, promotions } = extractSkuPricing(sku, product.region);
+    return {
+      skuId: extractSkuIdFromData(sku) || null,
+      title: title || null,
+      kind,
+      variant: describeVariant(kind, title),
+      price,
+      discountPrice,
+      promotions,
+      stock: typeof stock === "number" ? stock : null,
+      watched: isSkuMonitored(product, sku),
+    };
+  });
+}
+
+export function formatStock(stock) {
+  if (stock === null) {
+    return "stock unknown";
+  }
+  return stock > 0 ? `${stock} in stock` : "sold out";
+}
+
+export function formatPrice(price, region) {
+  return formatRegionPrice(price, region) ?? "-";
+}
+
+function formatSkuPrice(sku, region) {
+  const price =
+    sku.discountPrice === null
+      ? `price ${formatPrice(sku.price, region)}`
+      : `price ${formatPrice(sku.discountPrice, region)} (was ${formatPrice(sku.price, region)})`;
+  return sku.promotions.length > 0 ? `${price} [${sku.promotions.join(", ")}]` : price;
+}
+
+export function formatCheckResult({ product, skus }) {
+  const lines = [`${product.name} (spuId ${product.spuId})`, product.url];
+
+  if (skus.length === 0) {
+    lines.push("  No SKUs listed.");
+  }
+  for (const sku of skus) {
+    lines.push(
+      `  SKU ${sku.skuId ?? "?"} ${sku.title ?? sku.variant}: ${formatStock(sku.stock)}, ${formatSkuPrice(sku, product.region)}` +
+        (sku.watched ? "" : " (not watched)")
+    );
+  }
+
+  return lines.join("\n");
+}
+
+export async function runCheckCommand(argv) {
+  const { values, positionals } = parseCommandArgs(argv, {
+    usage: USAGE,
+    allowPositionals: true,
+    options: {
+      ...MODE_OPTION,
+      ...PAGE_TIMEOUT_OPTION,
+      name: { type: "string" },
+      json: { type: "boolean", default: false },
+    },
+  });
+  if (values.help) {
+    process.stdout.write(HELP);
+    return 0;
+  }
+  if (positionals.length !== 1) {
+    throw createUsageError("check needs exactly one product URL.", USAGE);
+  }
+
+  const url = positionals[0];
+  let product;
+  try {
+    [product] = validateProductConfig([{ name: values.name || deriveProductName(url) || url, url }], "Product URL");
+  } catch (error) {
+    throw createUsageError(`Invalid product URL "${url}": ${(error.details ?? [error.message]).join("; ")}`, USAGE);
+  }
+  const mode = resolveMode(values.mode);
+  const pageTimeout = resolvePageTimeout(values, mode);
+
+  // Keeps stdout to the JSON document; warnings still go to stderr.
+  if (values.json && !process.env.LOG_LEVEL) {
+    process.env.LOG_LEVEL = "warn";
+  }
+  await loadEnvFromFile();
+
+  const provider = mode.createProvider();
+  try {
+    await provider.init();
+    const { data } = await fetchProductDetailsOnce(provider, product, { pageTimeout });
+    const result = {
+      product: { name: product.name, spuId: product.spuId, url: product.url, region: product.region },
+      skus: describeSkus(product, data),
+    };
+
+    const output = values.json ? JSON.stringify(result, null, 2) : formatCheckResult(result);
+    process.stdout.write(`${output}\n`);
+  } finally {
+    await provider.shutdown();
+    // A signal handler waits for this before exiting.
+    markShutdownComplete();
+  }
+  return 0;
+}
@@ -0,0 +1,163 @@
+import { loadEnvFromFile } from "../env.js";
+import { markShutdownComplete } from "../lifecycle.js";
+import { fetchProductDetailsOnce } from "../monitor.js";
+import { saveProductEntry } from "../product-config.js";
+import { deriveProductName, extractSpuId, resolveProductRegion } from "../products.js";
+import { createUsageError, parseCommandArgs } from "./args.js";
+import { describeSkus, formatPrice, formatStock } from "./check.js";
+import { MODE_OPTION, PAGE_TIMEOUT_OPTION, resolveMode, resolvePageTimeout } from "./monitor.js";
+
+const USAGE =
+  "inspect <url> [--mode system|proxy] [--name NAME] [--single SKU_ID] [--set SKU_ID] [--page-timeout MS] [--dry-run] [--json]";
+
+const HELP = `Usage: ${USAGE}
+
+Loads a product page, lists every SKU from its productDetails response with its
+id, title, price and kind (single box or whole set), then adds the product to
+the product file, or updates the ids of the product with the same spuId.
+
+  --mode            system (default) or proxy
+  --name            product name (default: the title from productDetails)
+  --single, --set   SKU ids to use when the kind cannot be read from the titles
+  --page-timeout    page load timeout in ms
+  --dry-run         only print what would be written
+  --json            print the result as JSON
+`;
+
+const SAVE_MESSAGES = {
+  added: (source) => `Added to ${source}.`,
+  updated: (source) => `Updated the ids in ${source}.`,
+  unchanged: (source) => `${source} already has this product with the same ids.`,
+};
+
+function parseSkuIdFlag(name, value) {
+  if (value !== undefined && !/^\d+$/.test(value.trim())) {
+    throw createUsageError(`--${name} must be a numeric SKU id, got "${value}".`, USAGE);
+  }
+  return value?.trim() ?? null;
+}
+
+// Picks the single-box and set SKU from the inferred kinds; ambiguous or
+// missing kinds are left to the user.
+function pickVariantSkus(skus, overrides) {
+  const warnings = [];
+  const pick = (kind, label, override) => {
+    if (override) {
+      if (!skus.some((sku) => sku.skuId === override)) {
+        warnings.push(`SKU ${override} given for ${label} is not listed by productDetails.`);
+      }
+      return override;
+    }
+    const matches = skus.filter((sku) => sku.kind === kind && sku.skuId);
+    if (matches.length === 0) {
+      warnings.push(`No SKU looks like the ${label}; pass --${kind} to set it.`);
+      return null;
+    }
+    if (matches.length > 1) {
+      warnings.push(
+        `Several SKUs look like the ${label} (${matches.map((sku) => sku.skuId).join(", ")}); using ${matches[0].skuId}.`
+      );
+    }
+    return matches[0].skuId;
+  };
+
+  return {
+    skuSingleId: pick("single", "single box", overrides.single),
+    skuSetId: pick("set", "whole set", overrides.set),
+    warnings,
+  };
+}
+
+function formatInspectResult({ entry, region, skus, warnings }) {
+  const lines = [`${entry.name} (spuId ${entry.spuId})`, entry.url];
+  for (const sku of skus) {
+    lines.push(
+      `  SKU ${sku.skuId ?? "?"} ${sku.title ?? "(no title)"}: ${sku.kind}, price ${formatPrice(sku.price, region)}, ${formatStock(sku.stock)}`
+    );
+  }
+  lines.push(`sku_single: ${entry.skuSingleId ?? "-"}, skuid_set: ${entry.skuSetId ?? "-"}`);
+  warnings.forEach((warning) => lines.push(`Warning: ${warning}`));
+  return lines.join("\n");
+}
+
+export async function runInspectCommand(argv) {
+  const { values, positionals } = parseCommandArgs(argv, {
+    usage: USAGE,
+    allowPositionals: true,
+    options: {
+      ...MODE_OPTION,
+      ...PAGE_TIMEOUT_OPTION,
+      name: { type: "string" },
+      single: { type: "string" },
+      set: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+      json: { type: "boolean", default: false },
+    },
+  });
+  if (values.help) {
+    process.stdout.write(HELP);
+    return 0;
+  }
+  if (positionals.length !== 1) {
+    throw createUsageError("inspect needs exactly one product URL.", USAGE);
+  }
+
+  const url = positionals[0];
+  try {
+    if (!/^https?:$/.test(new URL(url).protocol)) {
+      throw new Error("must use http or https");
+    }
+  } catch (error) {
+    throw createUsageError(`Invalid product URL "${url}": ${error.message}.`, USAGE);
+  }
+  const overrides = {
+    single: parseSkuIdFlag("single", values.single),
+    set: parseSkuIdFlag("set", values.set),
+  };
+  const mode = resolveMode(values.mode);
+  const pageTimeout = resolvePageTimeout(values, mode);
+
+  // Keeps stdout to the JSON document; warnings still go to stderr.
+  if (values.json && !process.env.LOG_LEVEL) {
+    process.env.LOG_LEVEL = "warn";
+  }
+  await loadEnvFromFile();
+
+  const region = resolveProductRegion(url);
+  const provider = mode.createProvider();
+  let details;
+  try {
+    await provider.init();
+    details = await fetchProductDetailsOnce(
+      provider,
+      { name: values.name || deriveProductName(url) || url, url, spuId: extractSpuId(url), region },
+      { pageTimeout }
+    );
+  } finally {
+    await provider.shutdown();
+    // A signal handler waits for this before exiting.
+    markShutdownComplete();
+  }
+
+  const { spuId, data } = details;
+  if (!spuId) {
+    throw new Error(`The productDetails response for ${url} carries no spuId.`);
+  }
+
+  const name =
+    values.name || (typeof data.title === "string" && data.title.trim()) || deriveProductName(url) || url;
+  const skus = describeSkus({ name, url, spuId, region }, data);
+  const { skuSingleId, skuSetId, warnings } = pickVariantSkus(skus, overrides);
+  const entry = { name, url, spuId, skuSingleId, skuSetId };
+
+  const saved = values["dry-run"] ? null : await saveProductEntry(entry);
+
+  if (values.json) {
+    process.stdout.write(`${JSON.stringify({ product: entry, skus, warnings, saved }, null, 2)}\n`);
+  } else {
+    const lines = [formatInspectResult({ entry, region, skus, warnings })];
+    lines.push(saved ? SAVE_MESSAGES[saved.action](saved.source) : "Dry run: the product file was not changed.");
+    process.stdout.write(`${lines.join("\n")}\n`);
+  }
+  return 0;
+}
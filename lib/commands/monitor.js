@@ -0,0 +1,128 @@
+import { runMonitor } from "../monitor.js";
+import { createSystemBrowserProvider } from "../providers/system-browser.js";
+import { createProxyPoolProvider } from "../providers/proxy-pool.js";
+import {
+  parseChoiceFlag,
+  parseCommandArgs,
+  parseDelayRangeFlag,
+  parsePositiveIntegerFlag,
+  parseWindowsFlag,
+} from "./args.js";
+
+const isRailwayEnvironment = Boolean(
+  process.env.RAILWAY_ENVIRONMENT ||
+  process.env.RAILWAY_ENVIRONMENT_NAME ||
+  process.env.RAILWAY_PROJECT_ID ||
+  process.env.RAILWAY_STATIC_URL ||
+  process.env.RAILWAY_PUBLIC_DOMAIN
+);
+
+// Defaults of each mode; every value can be overridden with a flag.
+export const MONITOR_MODES = {
+  system: {
+    createProvider: createSystemBrowserProvider,
+    settings: {
+      perProductDelay: { min: 2000, max: 4000 },
+      passDelay: { min: 4000, max: 6000 },
+      pageTimeout: 12500,
+      defaultActiveWindows: isRailwayEnvironment
+        ? ["07:30-08:30", "18:00-19:30"]
+        : ["08:30-18:00"],
+    },
+  },
+  proxy: {
+    createProvider: createProxyPoolProvider,
+    settings: {
+      perProductDelay: { min: 1000, max: 2500 },
+      passDelay: { min: 3000, max: 5000 },
+      pageTimeout: 12000,
+      defaultActiveWindows: ["08:00-19:00"],
+    },
+  },
+};
+
+export const MODE_NAMES = Object.keys(MONITOR_MODES);
+const CHECK_MODES = ["page", "direct"];
+
+const USAGE =
+  "monitor [--mode system|proxy] [--page-timeout MS] [--product-delay MIN-MAX] [--pass-delay MIN-MAX]\n" +
+  "        [--direct-delay MIN-MAX] [--check-mode page|direct] [--windows HH:MM-HH:MM,...] [--concurrency N]";
+
+const HELP = `Usage: ${USAGE}
+
+Runs the stock monitor until it is stopped.
+
+  --mode            system (one local browser, default) or proxy (one browser per Proxy.txt entry)
+  --page-timeout    product page load timeout in ms
+  --product-delay   pause after each product check in ms, fixed or MIN-MAX
+  --pass-delay      pause between passes in ms, fixed or MIN-MAX
+  --direct-delay    pause after each direct productDetails call in ms, fixed or MIN-MAX
+  --check-mode      page or direct (overrides CHECK_MODE)
+  --windows         monitoring windows in each region's local time (overrides ACTIVE_WINDOWS)
+  --concurrency     parallel checks per pass (overrides PRODUCT_CHECK_CONCURRENCY)
+`;
+
+export const MODE_OPTION = { mode: { type: "string", short: "m", default: "system" } };
+export const PAGE_TIMEOUT_OPTION = { "page-timeout": { type: "string" } };
+
+export function resolveMode(value) {
+  return MONITOR_MODES[parseChoiceFlag("mode", value, MODE_NAMES)];
+}
+
+export function resolvePageTimeout(values, mode) {
+  return values["page-timeout"] === undefined
+    ? mode.settings.pageTimeout
+    : parsePositiveIntegerFlag("page-timeout", values["page-timeout"]);
+}
+
+// Flags win over the environment, including values later read from .env,
+// which never replaces variables that are already set.
+function applyEnvironmentFlags(values) {
+  if (values["check-mode"] !== undefined) {
+    process.env.CHECK_MODE = parseChoiceFlag("check-mode", values["check-mode"], CHECK_MODES);
+  }
+  if (values.windows !== undefined) {
+    process.env.ACTIVE_WINDOWS = parseWindowsFlag("windows", values.windows);
+  }
+  if (values.concurrency !== undefined) {
+    process.env.PRODUCT_CHECK_CONCURRENCY = String(
+      parsePositiveIntegerFlag("concurrency", values.concurrency)
+    );
+  }
+}
+
+export async function runMonitorCommand(argv) {
+  const { values } = parseCommandArgs(argv, {
+    usage: USAGE,
+    options: {
+      ...MODE_OPTION,
+      ...PAGE_TIMEOUT_OPTION,
+      "product-delay": { type: "string" },
+      "pass-delay": { type: "string" },
+      "direct-delay": { type: "string" },
+      "check-mode": { type: "string" },
+      windows: { type: "string" },
+      concurrency: { type: "string" },
+    },
+  });
+  if (values.help) {
+    process.stdout.write(HELP);
+    return 0;
+  }
+
+  const mode = resolveMode(values.mode);
+  const settings = { ...mode.settings, pageTimeout: resolvePageTimeout(values, mode) };
+  if (values["product-delay"] !== undefined) {
+    settings.perProductDelay = parseDelayRangeFlag("product-delay", values["product-delay"]);
+  }
+  if (values["pass-delay"] !== undefined) {
+    settings.passDelay = parseDelayRangeFlag("pass-delay", values["pass-delay"]);
+  }
+  if (values["direct-delay"] !== undefined) {
+    settings.directDelay = parseDelayRangeFlag("direct-delay", values["direct-delay"]);
+  }
+  applyEnvironmentFlags(values);
+
+  await runMonitor(mode.createProvider(), settings);
+  return 0;
+}
@@ -0,0 +1,55 @@
+import { loadEnvFromFile } from "../env.js";
+import { openHistoryLog } from "../history.js";
+import { createRestockReportBuilder, formatRestockReport } from "../report.js";
+import { DAY_IN_MS } from "../schedule.js";
+import { createUsageError, parseCommandArgs } from "./args.js";
+
+const USAGE = "report [--days N] [--json]";
+
+const HELP = `Usage: ${USAGE}
+
+Summarizes the recorded stock history: restocks, restock hours, time until sold
+out and peak quantity per SKU.
+
+  --days    only include the last N days
+  --json    print the report as JSON
+`;
+
+export async function runReportCommand(argv) {
+  const { values } = parseCommandArgs(argv, {
+    usage: USAGE,
+    options: {
+      days: { type: "string" },
+      json: { type: "boolean", default: false },
+    },
+  });
+  if (values.help) {
+    process.stdout.write(HELP);
+    return 0;
+  }
+
+  let days = null;
+  if (values.days !== undefined) {
+    days = Number.parseFloat(values.days);
+    if (Number.isNaN(days) || days <= 0) {
+      throw createUsageError(`Invalid value for --days: ${values.days}`, USAGE);
+    }
+  }
+
+  await loadEnvFromFile();
+
+  const history = await openHistoryLog();
+  try {
+    const sinceMs = days === null ? null : Date.now() - days * DAY_IN_MS;
+    const builder = createRestockReportBuilder({ sinceMs });
+    await history.forEachRecord(builder.add);
+    const report = builder.build();
+
+    // The report is the command's output, not a log line.
+    const output = values.json ? JSON.stringify(report, null, 2) : formatRestockReport(report);
+    process.stdout.write(`${output}\n`);
+  } finally {
+    await history.close();
+  }
+  return 0;
+}
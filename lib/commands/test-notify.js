@@ -0,0 +1,160 @@
+import { loadEnvFromFile } from "../env.js";
+import {
+  NOTIFIER_CHANNELS,
+  closeNotifiers,
+  dispatchNotification,
+  initNotifiers,
+} from "../notifiers/index.js";
+import { loadProducts } from "../product-config.js";
+import {
+  ALERT_EVENT_TYPES,
+  PRICE_EVENT_TYPES,
+  STOCK_EVENT_TYPES,
+  renderStockEvent,
+  renderStockEventCaption,
+  describeVariant,
+} from "../stock-events.js";
+import { MS_PER_MINUTE } from "../schedule.js";
+import { logger } from "../logger.js";
+import { createUsageError, parseChoiceFlag, parseCommandArgs } from "./args.js";
+
+const USAGE = `test-notify [--type ${ALERT_EVENT_TYPES.join("|")}] [--channel NAME[,NAME...]]`;
+
+const HELP = `Usage: ${USAGE}
+
+Sends a sample stock alert through the configured notification channels, routed
+like a real alert of that type. Telegram subscribers never receive it.
+
+  --type      alert type to imitate (default restock)
+  --channel   send only to these channels instead of the configured route
+`;
+
+const SAMPLE_PRODUCT = {
+  name: "THE MONSTERS Sample Vinyl Plush",
+  url: "https://www.popmart.com/vn",
+  spuId: "0",
+};
+
+async function findSampleProduct() {
+  try {
+    const { products } = await loadProducts();
+    return products.find((product) => product.enabled !== false) ?? SAMPLE_PRODUCT;
+  } catch (error) {
+    logger.warn("Using a placeholder product for the test alert", { err: error.message });
+    return SAMPLE_PRODUCT;
+  }
+}
+
+function parseChannels(value) {
+  const channels = value
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => parseChoiceFlag("channel", part, NOTIFIER_CHANNELS));
+  if (channels.length === 0) {
+    throw createUsageError("--channel needs at least one channel name.", USAGE);
+  }
+  return channels;
+}
+
+function createSampleEvent(type, product) {
+  if (Object.values(PRICE_EVENT_TYPES).includes(type)) {
+    return {
+      type,
+      product,
+      skuIndex: 0,
+      sku: null,
+      skuId: null,
+      skuTitle: null,
+      price: 299000,
+      previousPrice: 350000,
+      listPrice: 350000,
+      promotions: ["Flash Sale"],
+      newPromotions: ["Flash Sale"],
+      imageUrl: null,
+      variantKind: "single",
+      stock: 12,
+      previousStock: 12,
+      inStockForMs: null,
+    };
+  }
+
+  const inStock = type !== STOCK_EVENT_TYPES.SOLD_OUT;
+  return {
+    type,
+    product,
+    skuIndex: 0,
+    sku: null,
+    skuId: null,
+    skuTitle: null,
+    price: 350000,
+    imageUrl: null,
+    variantKind: "single",
+    stock: inStock ? 12 : 0,
+    previousStock: type === STOCK_EVENT_TYPES.RESTOCK ? 0 : type === STOCK_EVENT_TYPES.INCREASE ? 6 : 18,
+    inStockForMs: inStock ? null : 5 * MS_PER_MINUTE,
+  };
+}
+
+export async function runTestNotifyCommand(argv) {
+  const { values } = parseCommandArgs(argv, {
+    usage: USAGE,
+    options: {
+      type: { type: "string", default: STOCK_EVENT_TYPES.RESTOCK },
+      channel: { type: "string" },
+    },
+  });
+  if (values.help) {
+    process.stdout.write(HELP);
+    return 0;
+  }
+
+  const type = parseChoiceFlag("type", values.type.replace(/-/g, "_"), ALERT_EVENT_TYPES);
+  const channels = values.channel === undefined ? null : parseChannels(values.channel);
+
+  await loadEnvFromFile();
+  const product = await findSampleProduct();
+  const event = createSampleEvent(type, product);
+
+  await initNotifiers();
+  let delivered;
+  try {
+    delivered = await dispatchNotification({
+      type,
+      test: true,
+      text: `[TEST] Thong bao thu tu bot Pop Mart.\n${renderStockEvent({ ...event, buyNowLink: null })}`,
+      html: `<b>[TEST]</b> Thong bao thu tu bot Pop Mart.\n${renderStockEventCaption(event)}`,
+      product,
+      channels,
+      data: {
+        skuId: null,
+        skuTitle: null,
+        variant: describeVariant(event.variantKind, null),
+        variantKind: event.variantKind,
+        stock: event.stock,
+        previousStock: event.previousStock,
+        price: event.price,
+        ...(event.previousPrice !== undefined
+          ? {
+              previousPrice: event.previousPrice,
+              listPrice: event.listPrice,
+              promotions: event.promotions,
+              newPromotions: event.newPromotions,
+            }
+          : {}),
+        imageUrl: null,
+        inStockForMs: event.inStockForMs,
+        buyNowLink: null,
+      },
+    });
+  } finally {
+    await closeNotifiers();
+  }
+
+  if (delivered.length === 0) {
+    process.stdout.write("No channel accepted the test alert. Check the warnings above.\n");
+    return 1;
+  }
+  process.stdout.write(`Test alert sent via ${delivered.join(", ")}.\n`);
+  return 0;
+}
@@ -0,0 +1,113 @@
+import fs from "fs/promises";
+import { loadEnvFromFile } from "../env.js";
+import { loadProducts } from "../product-config.js";
+import { PROXY_LIST_PATH, parseProxyList } from "../providers/proxy-pool.js";
+import { isSqliteAvailable } from "../state-store.js";
+import { parseCommandArgs } from "./args.js";
+
+const USAGE = "validate";
+
+const HELP = `Usage: ${USAGE}
+
+Checks the product list (products.yaml/.yml/.json or Products.csv), Proxy.txt
+and the STATE_STORE/HISTORY_STORE backends and lists every problem found. Exits with status 1 when there is one.
+`;
+
+async function validateProducts() {
+  let loaded;
+  try {
+    loaded = await loadProducts();
+  } catch (error) {
+    return { summary: "Products: invalid", problems: error.details ?? [error.message] };
+  }
+
+  const { products, source } = loaded;
+  const problems = [];
+  const seenSpuIds = new Map();
+  products.forEach((product, index) => {
+    if (seenSpuIds.has(product.spuId)) {
+      problems.push(
+        `product #${index + 1} ("${product.name}") has the same spuId ${product.spuId} as product #${seenSpuIds.get(product.spuId)}.`
+      );
+    } else {
+      seenSpuIds.set(product.spuId, index + 1);
+    }
+  });
+
+  const disabledCount = products.filter((product) => product.enabled === false).length;
+  if (disabledCount === products.length) {
+    problems.push("every product is disabled.");
+  }
+
+  return {
+    summary: `${source}: ${products.length} products${disabledCount > 0 ? ` (${disabledCount} disabled)` : ""}`,
+    problems,
+  };
+}
+
+async function validateProxies() {
+  let raw;
+  try {
+    raw = await fs.readFile(PROXY_LIST_PATH, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { summary: "Proxy.txt: not found (only needed for --mode proxy)", problems: [] };
+    }
+    return { summary: "Proxy.txt: unreadable", problems: [error.message] };
+  }
+
+  const { proxies, problems } = parseProxyList(raw);
+  const messages = problems.map(({ lineNumber, line, message }) => `line ${lineNumber}: ${message} (${line})`);
+  if (proxies.length === 0) {
+    messages.push("no valid proxy entries.");
+  }
+
+  return { summary: `Proxy.txt: ${proxies.length} proxies`, problems: messages };
+}
+
+async function validateStorage() {
+  const stateKind = (process.env.STATE_STORE || "json").trim().toLowerCase();
+  const historyKind = (process.env.HISTORY_STORE || "jsonl").trim().toLowerCase();
+  const problems = [];
+
+  const sqliteSettings = [
+    ["STATE_STORE", stateKind],
+    ["HISTORY_STORE", historyKind],
+  ].filter(([, kind]) => kind === "sqlite");
+  if (sqliteSettings.length > 0 && !(await isSqliteAvailable())) {
+    for (const [name] of sqliteSettings) {
+      problems.push(
+        `${name}=sqlite requires Node.js 22.13 or newer (node:sqlite is unavailable in ${process.version}).`
+      );
+    }
+  }
+
+  return { summary: `Storage: state ${stateKind}, history ${historyKind}`, problems };
+}
+
+export async function runValidateCommand(argv) {
+  const { values } = parseCommandArgs(argv, { usage: USAGE });
+  if (values.help) {
+    process.stdout.write(HELP);
+    return 0;
+  }
+
+  await loadEnvFromFile();
+
+  const results = [await validateProducts(), await validateProxies(), await validateStorage()];
+  const lines = [];
+  for (const { summary, problems } of results) {
+    lines.push(summary);
+    problems.forEach((problem) => lines.push(`  - ${problem}`));
+  }
+
+  const problemCount = results.reduce((sum, result) => sum + result.problems.length, 0);
+  lines.push(
+    problemCount === 0
+      ? "No problems found."
+      : `${problemCount} problem${problemCount === 1 ? "" : "s"} found.`
+  );
+  process.stdout.write(`${lines.join("\n")}\n`);
+
+  return problemCount === 0 ? 0 : 1;
+}
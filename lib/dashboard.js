@@ -0,0 +1,230 @@
+import http from "http";
+import { renderMetrics } from "./metrics.js";
+import { logger } from "./logger.js";
+
+const DEFAULT_HOST = "127.0.0.1";
+const REFRESH_INTERVAL_MS = 5000;
+
+const DASHBOARD_HTML = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Pop Mart monitor</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 24px; color: #222; }
+  h1 { font-size: 20px; margin: 0 0 16px; }
+  h2 { font-size: 16px; margin: 24px 0 8px; }
+  .cards { display: flex; flex-wrap: wrap; gap: 12px; }
+  .card { border: 1px solid #ddd; border-radius: 6px; padding: 8px 12px; min-width: 140px; }
+  .card b { display: block; font-size: 12px; color: #666; font-weight: normal; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border-bottom: 1px solid #eee; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { font-size: 12px; color: #666; }
+  .error { color: #b00020; }
+  .muted { color: #999; }
+  .in-stock { color: #0a7d32; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>Pop Mart monitor</h1>
+<div id="summary" class="cards"></div>
+<h2>Products</h2>
+<table>
+  <thead><tr><th>Product</th><th>SKUs (online stock)</th><th>Last check</th><th>Duration</th><th>Via</th><th>Last error</th></tr></thead>
+  <tbody id="products"></tbody>
+</table>
+<h2>Browser sessions</h2>
+<table>
+  <thead><tr><th>Session</th><th>Busy</th><th>Failed</th><th>Browser</th><th>Success</th><th>Avg latency</th><th>Timeouts</th><th>Quarantined until</th><th>Last error</th></tr></thead>
+  <tbody id="sessions"></tbody>
+</table>
+<p class="muted" id="updated"></p>
+<script>
+const escapeHtml = (value) => String(value ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+const formatMs = (ms) => {
+  if (typeof ms !== "number") return "-";
+  if (ms < 1000) return ms + "ms";
+  if (ms < 60000) return (ms / 1000).toFixed(1) + "s";
+  const hours = Math.floor(ms / 3600000);
+  return (hours > 0 ? hours + "h " : "") + Math.floor((ms % 3600000) / 60000) + "m";
+};
+const formatAgo = (iso) => {
+  if (!iso) return "-";
+  const seconds = Math.round((Date.now() - Date.parse(iso)) / 1000);
+  return seconds < 60 ? seconds + "s ago" : Math.round(seconds / 60) + "m ago";
+};
+
+function render(data) {
+  const s = data.status;
+  const cards = [
+    ["State", s.paused ? "paused" : s.inActiveWindow ? "running" : "outside window"],
+    ["Uptime", formatMs(s.uptimeMs)],
+    ["Passes", s.passCount],
+    ["Last pass", formatMs(s.lastPassDurationMs)],
+    ["Concurrency", s.currentConcurrency + " / " + s.targetConcurrency],
+    ["Products", s.productCount + " (" + (s.productSource || "-") + ")"],
+    ["Browsers", s.provider],
+    ["Active windows", s.activeWindows],
+    ["Blocked regions", s.blockedRegions.length > 0 ? s.blockedRegions.join(", ") : "none"],
+  ];
+  document.getElementById("summary").innerHTML = cards
+    .map(([label, value]) => "<div class=card><b>" + escapeHtml(label) + "</b>" + escapeHtml(value) + "</div>")
+    .join("");
+
+  document.getElementById("products").innerHTML = data.products.map((p) => {
+    const skus = p.skus.length === 0 ? "<span class=muted>no data</span>" : p.skus.map((sku) =>
+      "<div>" + escapeHtml(sku.title || sku.skuId || "SKU") + ": <span class=" + (sku.stock > 0 ? "in-stock" : "muted") + ">" + escapeHtml(sku.stock) + "</span></div>"
+    ).join("");
+    const error = p.lastError && (!p.lastSuccessAt || p.lastErrorAt > p.lastSuccessAt)
+      ? "<span class=error>" + escapeHtml(p.lastError) + "</span> <span class=muted>" + formatAgo(p.lastErrorAt) + "</span>"
+      : p.lastError ? "<span class=muted>" + escapeHtml(p.lastError) + " (" + formatAgo(p.lastErrorAt) + ")</span>" : "-";
+    return "<tr><td><a href=\\"" + escapeHtml(p.url) + "\\">" + escapeHtml(p.name) + "</a><div class=muted>" + escapeHtml(p.spuId) + (p.muted ? " - muted" : "") + "</div></td>" +
+      "<td>" + skus + "</td><td>" + formatAgo(p.lastCheckedAt) + "</td><td>" + formatMs(p.lastDurationMs) + "</td>" +
+      "<td>" + escapeHtml(p.lastVia || "-") + "</td><td>" + error + "</td></tr>";
+  }).join("");
+
+  document.getElementById("sessions").innerHTML = data.sessions.length === 0
+    ? "<tr><td colspan=9 class=muted>The browser provider does not report sessions.</td></tr>"
+    : data.sessions.map((session) => {
+      const health = session.health || {};
+      const successRate = typeof health.successRate === "number"
+        ? Math.round(health.successRate * 100) + "% of " + health.samples
+        : "-";
+      return "<tr><td>" + escapeHtml(session.label) + "</td><td>" + (session.busy ? "yes" : "no") + "</td>" +
+      "<td>" + (session.evicted
+        ? "<span class=error>evicted</span>" + (session.nextProbeAt ? " <span class=muted>probe " + new Date(session.nextProbeAt).toLocaleTimeString() + "</span>" : "")
+        : session.failed ? "<span class=error>yes</span>" : "no") + "</td>" +
+      "<td>" + (session.browserRunning ? "running" : "stopped") + "</td>" +
+      "<td>" + successRate + "</td><td>" + formatMs(health.avgLatencyMs) + "</td><td>" + (health.timeouts ?? "-") + "</td>" +
+      "<td>" + (health.quarantinedUntil ? "<span class=error>" + new Date(health.quarantinedUntil).toLocaleTimeString() + "</span>" : "-") + "</td>" +
+      "<td>" + (session.lastError ? "<span class=error>" + escapeHtml(session.lastError) + "</span>" : "-") + "</td></tr>";
+    }).join("");
+
+  document.getElementById("updated").textContent = "Updated " + new Date(data.generatedAt).toLocaleTimeString();
+}
+
+async function refresh() {
+  try {
+    const response = await fetch("api/status" + location.search, { cache: "no-store" });
+    if (response.ok) render(await response.json());
+  } catch (error) {
+    document.getElementById("updated").textContent = "Unable to reach the monitor: " + error.message;
+  }
+}
+
+refresh();
+setInterval(refresh, ${REFRESH_INTERVAL_MS});
+</script>
+</body>
+</html>
+`;
+
+function resolveDashboardPort() {
+  const rawValue = (process.env.DASHBOARD_PORT || "").trim();
+  if (!rawValue) {
+    return null;
+  }
+
+  const port = Number.parseInt(rawValue, 10);
+  if (Number.isNaN(port) || port < 0 || port > 65535) {
+    logger.warn(`Ignoring invalid DASHBOARD_PORT "${rawValue}". The dashboard is disabled.`);
+    return null;
+  }
+  return port;
+}
+
+function isAuthorized(request, url, token) {
+  if (!token) {
+    return true;
+  }
+  const header = request.headers.authorization || "";
+  return header === `Bearer ${token}` || url.searchParams.get("token") === token;
+}
+
+function sendJson(response, statusCode, body) {
+  response.writeHead(statusCode, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": "no-store",
+  });
+  response.end(JSON.stringify(body));
+}
+
+export function buildStatusSnapshot(controller) {
+  return {
+    generatedAt: new Date().toISOString(),
+    status: controller.getStatus(),
+    products: controller.getProductOverview(),
+    sessions: controller.getProviderSessions(),
+  };
+}
+
+/**
+ * Serves the status page, its JSON API (`/api/status`) and Prometheus metrics
+ * (`/metrics`) when DASHBOARD_PORT is set. DASHBOARD_TOKEN, when set, must be sent as a bearer token or a
+ * `token` query parameter. Returns a function that stops the server.
+ */
+export function startDashboard(controller) {
+  const port = resolveDashboardPort();
+  if (port === null) {
+    return () => {};
+  }
+
+  const host = (process.env.DASHBOARD_HOST || DEFAULT_HOST).trim();
+  const token = (process.env.DASHBOARD_TOKEN || "").trim();
+
+  const server = http.createServer((request, response) => {
+    const url = new URL(request.url, "http://localhost");
+
+    if (request.method !== "GET") {
+      sendJson(response, 405, { error: "Method not allowed" });
+      return;
+    }
+
+    if (!isAuthorized(request, url, token)) {
+      sendJson(response, 401, { error: "Unauthorized" });
+      return;
+    }
+
+    try {
+      if (url.pathname === "/" || url.pathname === "/index.html") {
+        response.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+        response.end(DASHBOARD_HTML);
+        return;
+      }
+
+      if (url.pathname === "/api/status") {
+        sendJson(response, 200, buildStatusSnapshot(controller));
+        return;
+      }
+
+      if (url.pathname === "/metrics") {
+        response.writeHead(200, {
+          "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+          "Cache-Control": "no-store",
+        });
+        response.end(renderMetrics());
+        return;
+      }
+
+      sendJson(response, 404, { error: "Not found" });
+    } catch (error) {
+      logger.error("Dashboard request failed", { err: error });
+      sendJson(response, 500, { error: "Internal error" });
+    }
+  });
+
+  server.on("error", (error) => {
+    logger.error(`Dashboard server error on ${host}:${port}`, { err: error.message });
+  });
+
+  server.listen(port, host, () => {
+    const address = server.address();
+    logger.info(`Dashboard listening on http://${host}:${address.port}/`);
+  });
+
+  return () => {
+    server.close();
+    server.closeAllConnections?.();
+  };
+}
@@ -0,0 +1,59 @@
+import fs from "fs/promises";
+import { configureLogger, logger } from "./logger.js";
+
+const ENV_FILE_PATH = new URL("../.env", import.meta.url);
+
+let envFileLoaded = false;
+
+export function parseDotEnv(content) {
+  const values = {};
+  content.split(/\r?\n/).forEach((line) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) {
+      return;
+    }
+
+    const equalsIndex = trimmed.indexOf("=");
+    if (equalsIndex === -1) {
+      return;
+    }
+
+    const key = trimmed.slice(0, equalsIndex).trim();
+    let value = trimmed.slice(equalsIndex + 1).trim();
+
+    if (
+      (value.startsWith("\"") && value.endsWith("\"")) ||
+      (value.startsWith("'") && value.endsWith("'"))
+    ) {
+      value = value.slice(1, -1);
+    }
+
+    values[key] = value;
+  });
+  return values;
+}
+
+export async function loadEnvFromFile() {
+  if (envFileLoaded) {
+    return;
+  }
+
+  envFileLoaded = true;
+
+  try {
+    const content = await fs.readFile(ENV_FILE_PATH, "utf8");
+    const values = parseDotEnv(content);
+
+    Object.entries(values).forEach(([key, value]) => {
+      if (typeof process.env[key] === "undefined" || process.env[key] === "") {
+        process.env[key] = value;
+      }
+    });
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.warn("Unable to load .env file", { err: error });
+    }
+  }
+
+  configureLogger();
+}
@@ -0,0 +1,73 @@
+import { watch } from "fs";
+import path from "path";
+import { logger } from "./logger.js";
+
+const DEFAULT_DEBOUNCE_MS = 500;
+
+// Watches the parent directory rather than the file itself: most editors save
+// by writing a new file and renaming it over the old one, which ends a
+// file-level watch after the first save.
+export function watchFile(filePath, onChange, { debounceMs = DEFAULT_DEBOUNCE_MS } = {}) {
+  const directory = path.dirname(filePath);
+  const fileName = path.basename(filePath);
+  let timer = null;
+  let running = false;
+  let pending = false;
+
+  const trigger = async () => {
+    if (running) {
+      pending = true;
+      return;
+    }
+
+    running = true;
+    try {
+      await onChange(filePath);
+    } catch (error) {
+      logger.error(`Error while reloading ${fileName}`, { err: error });
+    } finally {
+      running = false;
+      if (pending) {
+        pending = false;
+        trigger();
+      }
+    }
+  };
+
+  let watcher;
+  try {
+    watcher = watch(directory, (eventType, changedName) => {
+      if (changedName && changedName.toString() !== fileName) {
+        return;
+      }
+
+      if (timer) {
+        clearTimeout(timer);
+      }
+      timer = setTimeout(() => {
+        timer = null;
+        trigger();
+      }, debounceMs);
+    });
+  } catch (error) {
+    logger.warn(`Unable to watch ${filePath} for changes`, { err: error.message });
+    return () => {};
+  }
+
+  watcher.on("error", (error) => {
+    logger.warn(`Stopped watching ${filePath}`, { err: error.message });
+  });
+
+  return () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    watcher.close();
+  };
+}
+
+export function isHotReloadEnabled() {
+  const rawValue = (process.env.HOT_RELOAD || "").trim().toLowerCase();
+  return !["0", "false", "off", "no"].includes(rawValue);
+}
@@ -0,0 +1,200 @@
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import path from "path";
+import readline from "readline";
+import { resolveDataPath } from "./state-store.js";
+import { logger } from "./logger.js";
+
+const HISTORY_KINDS = ["jsonl", "sqlite", "off"];
+const JSONL_FLUSH_DELAY_MS = 1000;
+
+export class NullHistoryLog {
+  constructor() {
+    this.label = "off";
+  }
+
+  append() {}
+
+  async forEachRecord() {}
+
+  async close() {}
+}
+
+export class JsonlHistoryLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.label = filePath;
+    this.pending = [];
+    this.flushTimer = null;
+    this.writing = Promise.resolve();
+  }
+
+  append(record) {
+    this.pending.push(JSON.stringify(record));
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.flush().catch((error) => {
+          logger.warn(`Unable to append to stock history ${this.filePath}`, { err: error });
+        });
+      }, JSONL_FLUSH_DELAY_MS);
+    }
+  }
+
+  async flush() {
+    this.writing = this.writing.then(async () => {
+      if (this.pending.length === 0) {
+        return;
+      }
+
+      const lines = this.pending;
+      this.pending = [];
+
+      try {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.appendFile(this.filePath, lines.join("\n") + "\n", "utf8");
+      } catch (error) {
+        this.pending = lines.concat(this.pending);
+        throw error;
+      }
+    });
+
+    return this.writing;
+  }
+
+  // Streams the file line by line so the history never has to fit in memory.
+  async forEachRecord(onRecord) {
+    let stream;
+
+    try {
+      await fs.access(this.filePath);
+      stream = createReadStream(this.filePath, { encoding: "utf8" });
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return;
+      }
+      throw error;
+    }
+
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+      lineNumber += 1;
+      if (!line.trim()) {
+        continue;
+      }
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        logger.warn(`Skipping unreadable history line ${lineNumber} in ${this.filePath}.`);
+        continue;
+      }
+      onRecord(record);
+    }
+  }
+
+  async close() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    await this.flush();
+  }
+}
+
+export class SqliteHistoryLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.label = filePath;
+    this.db = null;
+    this.insert = null;
+  }
+
+  async open() {
+    if (this.db) {
+      return;
+    }
+
+    let sqlite;
+    try {
+      sqlite = await import("node:sqlite");
+    } catch (error) {
+      throw new Error(
+        `HISTORY_STORE=sqlite requires Node.js 22.13 or newer (node:sqlite is unavailable in ${process.version}).`
+      );
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    this.db = new sqlite.DatabaseSync(this.filePath);
+    this.db.exec(
+      "CREATE TABLE IF NOT EXISTS stock_history (" +
+        "ts TEXT NOT NULL, spu_id TEXT NOT NULL, sku_id TEXT, product TEXT, stock INTEGER NOT NULL)"
+    );
+    this.db.exec(
+      "CREATE INDEX IF NOT EXISTS stock_history_sku ON stock_history (spu_id, sku_id, ts)"
+    );
+    this.insert = this.db.prepare(
+      "INSERT INTO stock_history (ts, spu_id, sku_id, product, stock) VALUES (?, ?, ?, ?, ?)"
+    );
+  }
+
+  append(record) {
+    if (!this.insert) {
+      return;
+    }
+    this.insert.run(record.ts, record.spuId, record.skuId, record.product, record.stock);
+  }
+
+  async forEachRecord(onRecord) {
+    await this.open();
+    const rows = this.db
+      .prepare("SELECT ts, spu_id, sku_id, product, stock FROM stock_history ORDER BY ts")
+      .iterate();
+    for (const row of rows) {
+      onRecord({
+        ts: row.ts,
+        spuId: row.spu_id,
+        skuId: row.sku_id,
+        product: row.product,
+        stock: row.stock,
+      });
+    }
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.insert = null;
+    }
+  }
+}
+
+export async function openHistoryLog() {
+  let kind = (process.env.HISTORY_STORE || "jsonl").trim().toLowerCase();
+
+  if (!HISTORY_KINDS.includes(kind)) {
+    logger.warn(
+      `Ignoring invalid HISTORY_STORE "${process.env.HISTORY_STORE}". Expected one of: ${HISTORY_KINDS.join(", ")}.`
+    );
+    kind = "jsonl";
+  }
+
+  const customPath = process.env.HISTORY_STORE_PATH ? process.env.HISTORY_STORE_PATH.trim() : "";
+
+  if (kind === "off") {
+    return new NullHistoryLog();
+  }
+
+  if (kind === "sqlite") {
+    const log = new SqliteHistoryLog(customPath || resolveDataPath("history.sqlite"));
+    await log.open();
+    return log;
+  }
+
+  return new JsonlHistoryLog(customPath || resolveDataPath("history.jsonl"));
+}
@@ -0,0 +1,128 @@
+import { logger } from "./logger.js";
+
+const activeDelays = new Set();
+const shutdownHooks = [];
+
+let shuttingDown = false;
+let resolveShutdownPromise;
+const shutdownComplete = new Promise((resolve) => {
+  resolveShutdownPromise = resolve;
+});
+
+export function isShuttingDown() {
+  return shuttingDown;
+}
+
+export async function delay(ms) {
+  if (ms <= 0) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    const entry = {
+      timer: null,
+      completed: false,
+      finish() {
+        if (entry.completed) {
+          return;
+        }
+        entry.completed = true;
+        if (entry.timer !== null) {
+          clearTimeout(entry.timer);
+          entry.timer = null;
+        }
+        activeDelays.delete(entry);
+        resolve();
+      },
+    };
+
+    entry.timer = setTimeout(() => {
+      entry.finish();
+    }, ms);
+
+    activeDelays.add(entry);
+  });
+}
+
+export function randomDelay(min, max) {
+  const ms = Math.floor(Math.random() * (max - min + 1)) + min;
+  return delay(ms);
+}
+
+export function cancelAllDelays() {
+  for (const entry of Array.from(activeDelays)) {
+    entry.finish();
+  }
+}
+
+export function onShutdown(hook) {
+  shutdownHooks.push(hook);
+}
+
+export async function runShutdownHooks() {
+  for (const hook of shutdownHooks) {
+    try {
+      await hook();
+    } catch (error) {
+      if (!shuttingDown) {
+        logger.warn("Error during cleanup", { err: error });
+      }
+    }
+  }
+}
+
+export function markShutdownComplete() {
+  if (resolveShutdownPromise) {
+    resolveShutdownPromise();
+    resolveShutdownPromise = null;
+  }
+}
+
+export async function gracefulShutdown() {
+  if (shuttingDown) {
+    await shutdownComplete;
+    return;
+  }
+
+  shuttingDown = true;
+  logger.info("Shutdown requested. Cleaning up...");
+
+  cancelAllDelays();
+  await runShutdownHooks();
+
+  await shutdownComplete;
+}
+
+export function installSignalHandlers() {
+  ["SIGINT", "SIGTERM"].forEach((signal) => {
+    process.once(signal, () => {
+      gracefulShutdown()
+        .then(() => process.exit(0))
+        .catch((error) => {
+          logger.error("Error during shutdown", { err: error });
+          process.exit(1);
+        });
+    });
+  });
+}
+
+export function runMain(main) {
+  installSignalHandlers();
+
+  main()
+    .then((exitCode) => {
+      if (!shuttingDown) {
+        process.exit(typeof exitCode === "number" ? exitCode : 0);
+      }
+    })
+    .catch((error) => {
+      if (shuttingDown) {
+        logger.error("Error during shutdown", { err: error });
+        process.exit(1);
+        return;
+      }
+
+      logger.error("Fatal error", { err: error });
+      process.exit(1);
+    });
+}
@@ -0,0 +1,261 @@
+import fs from "fs/promises";
+import { extractRegionCode, getDefaultRegionCode } from "./popmart.js";
+import { deriveProductName, extractSpuId } from "./products.js";
+import { MS_PER_MINUTE, parseDurationMs } from "./schedule.js";
+import { resolveDataPath, writeFileAtomic } from "./state-store.js";
+import { logger } from "./logger.js";
+
+export const NEW_PRODUCT_TYPE = "new_product";
+
+const DEFAULT_SCAN_INTERVAL_MS = 10 * MS_PER_MINUTE;
+// Lets lazily loaded product cards render after scrolling to the bottom.
+const SCROLL_SETTLE_MS = 1500;
+
+function readBooleanEnv(name) {
+  const rawValue = (process.env[name] || "").trim().toLowerCase();
+  return ["1", "true", "on", "yes"].includes(rawValue);
+}
+
+function describeListingPage(url) {
+  const keyword = url.searchParams.get("keyword") || url.searchParams.get("q");
+  if (keyword) {
+    return `Search "${keyword}"`;
+  }
+  return deriveProductName(url.toString()) || url.pathname;
+}
+
+/**
+ * Category, search and collection pages from WATCH_PAGES (separated by
+ * whitespace, commas or semicolons). Invalid entries are skipped with a warning.
+ */
+export function parseWatchPages(rawValue) {
+  const pages = [];
+  for (const part of (rawValue || "").split(/[,;\s]+/)) {
+    if (!part) {
+      continue;
+    }
+
+    let url;
+    try {
+      url = new URL(part);
+    } catch (error) {
+      logger.warn(`Ignoring invalid URL "${part}" in WATCH_PAGES.`);
+      continue;
+    }
+    if (!/^https?:$/.test(url.protocol)) {
+      logger.warn(`Ignoring "${part}" in WATCH_PAGES: must use http or https.`);
+      continue;
+    }
+    if (!pages.some((page) => page.url === url.toString())) {
+      pages.push({
+        name: describeListingPage(url),
+        url: url.toString(),
+        spuId: null,
+        region: extractRegionCode(url.toString()) ?? getDefaultRegionCode(),
+      });
+    }
+  }
+  return pages;
+}
+
+export function resolveListingSettings() {
+  const rawInterval = process.env.WATCH_PAGES_INTERVAL;
+  let intervalMs = DEFAULT_SCAN_INTERVAL_MS;
+  if (rawInterval && rawInterval.trim()) {
+    const parsed = parseDurationMs(rawInterval);
+    if (parsed === null) {
+      logger.warn(
+        `Ignoring invalid WATCH_PAGES_INTERVAL "${rawInterval}". Use seconds or a duration like "30s", "5m", "1h".`
+      );
+    } else {
+      intervalMs = parsed;
+    }
+  }
+
+  return {
+    pages: parseWatchPages(process.env.WATCH_PAGES),
+    intervalMs,
+    autoAdd: readBooleanEnv("WATCH_PAGES_AUTO_ADD"),
+  };
+}
+
+/**
+ * Scrolls a loaded listing page once and returns the products it links to as
+ * `{ spuId, url, name, imageUrl }`, one per spuId. Only the first page of
+ * results is read.
+ */
+export async function collectListedProducts(page) {
+  await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+  await new Promise((resolve) => setTimeout(resolve, SCROLL_SETTLE_MS));
+
+  const links = await page.evaluate(() =>
+    Array.from(document.querySelectorAll('a[href*="/products/"]')).map((anchor) => {
+      const image = anchor.querySelector("img");
+      return {
+        href: anchor.href,
+        text: (anchor.getAttribute("title") || anchor.innerText || "").trim(),
+        imageUrl: image ? image.currentSrc || image.src || null : null,
+      };
+    })
+  );
+
+  const products = new Map();
+  for (const { href, text, imageUrl } of links) {
+    const spuId = extractSpuId(href);
+    if (!spuId) {
+      continue;
+    }
+
+    const url = new URL(href);
+    url.search = "";
+    url.hash = "";
+    const name = text.split("\n").map((line) => line.trim()).find(Boolean);
+    const existing = products.get(spuId);
+    if (!existing) {
+      products.set(spuId, {
+        spuId,
+        url: url.toString(),
+        name: name || deriveProductName(url.toString()),
+        imageUrl: /^https?:/.test(imageUrl || "") ? imageUrl : null,
+      });
+      continue;
+    }
+    if (name && existing.name === deriveProductName(existing.url)) {
+      existing.name = name;
+    }
+    if (!existing.imageUrl && /^https?:/.test(imageUrl || "")) {
+      existing.imageUrl = imageUrl;
+    }
+  }
+  return Array.from(products.values());
+}
+
+/**
+ * The spuIds already seen on every watched listing page, saved to
+ * data/listings.json. The first scan of a page only records what is listed.
+ */
+export class ListingStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.pages = new Map();
+    this.saving = Promise.resolve();
+  }
+
+  async load() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return 0;
+      }
+      throw new Error(`Unable to read listings file ${this.filePath}: ${error.message}`);
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`Listings file ${this.filePath} is not valid JSON: ${error.message}`);
+    }
+
+    for (const [url, entry] of Object.entries(parsed?.pages ?? {})) {
+      if (Array.isArray(entry?.spuIds)) {
+        this.pages.set(url, { ...entry, spuIds: entry.spuIds.map(String) });
+      }
+    }
+    return this.pages.size;
+  }
+
+  save() {
+    const content = JSON.stringify(
+      { version: 1, savedAt: new Date().toISOString(), pages: Object.fromEntries(this.pages) },
+      null,
+      2
+    );
+
+    this.saving = this.saving
+      .then(() => writeFileAtomic(this.filePath, content))
+      .catch((error) => {
+        logger.warn(`Unable to write listings file ${this.filePath}`, { err: error.message });
+      });
+    return this.saving;
+  }
+
+  /**
+   * Records the products found on a listing page. Resolves to the products
+   * that were not seen there before, or null on the first scan of the page.
+   */
+  record(listingUrl, products) {
+    const entry = this.pages.get(listingUrl);
+    const scannedAt = new Date().toISOString();
+
+    if (!entry) {
+      this.pages.set(listingUrl, {
+        spuIds: products.map((product) => product.spuId),
+        firstScanAt: scannedAt,
+        lastScanAt: scannedAt,
+      });
+      this.save();
+      return null;
+    }
+
+    const seen = new Set(entry.spuIds);
+    const added = products.filter((product) => !seen.has(product.spuId));
+    entry.spuIds.push(...added.map((product) => product.spuId));
+    entry.lastScanAt = scannedAt;
+    this.save();
+    return added;
+  }
+
+  async close() {
+    await this.saving;
+  }
+}
+
+export async function openListingStore() {
+  const customPath = process.env.LISTINGS_PATH ? process.env.LISTINGS_PATH.trim() : "";
+  const store = new ListingStore(customPath || resolveDataPath("listings.json"));
+  await store.load();
+  return store;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// `added` is true once the product joined the watched list, false when adding
+// it failed and undefined when auto-add is off.
+function describeAutoAdd(added) {
+  if (added === true) {
+    return "Da tu dong them vao danh sach theo doi.";
+  }
+  if (added === false) {
+    return "Khong the tu dong them vao danh sach theo doi.";
+  }
+  return null;
+}
+
+export function renderNewProductAlert({ listing, product, added }) {
+  return [
+    `San pham moi: ${product.name}`,
+    `Trang: ${listing.name}`,
+    describeAutoAdd(added),
+    product.url,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+export function renderNewProductCaption({ listing, product, added }) {
+  return [
+    `<b>San pham moi: ${escapeHtml(product.name)}</b>`,
+    `Trang: ${escapeHtml(listing.name)}`,
+    describeAutoAdd(added) && escapeHtml(describeAutoAdd(added)),
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
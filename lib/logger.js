@@ -0,0 +1,238 @@
+import fs from "fs";
+import path from "path";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LOG_FORMATS = ["text", "json"];
+const DEFAULT_MAX_FILE_MB = 10;
+const DEFAULT_MAX_FILES = 5;
+const BYTES_PER_MB = 1024 * 1024;
+
+let config = null;
+let fileSink = null;
+
+function readPositiveInteger(name, defaultValue, warnings) {
+  const rawValue = process.env[name];
+  if (!rawValue || !rawValue.trim()) {
+    return defaultValue;
+  }
+
+  const parsed = Number(rawValue.trim());
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    warnings.push(`Ignoring invalid ${name} "${rawValue}". Using ${defaultValue}.`);
+    return defaultValue;
+  }
+  return parsed;
+}
+
+function resolveConfig() {
+  const warnings = [];
+
+  const rawLevel = (process.env.LOG_LEVEL || "").trim().toLowerCase();
+  let level = "info";
+  if (rawLevel && rawLevel in LEVELS) {
+    level = rawLevel;
+  } else if (rawLevel) {
+    warnings.push(
+      `Ignoring invalid LOG_LEVEL "${process.env.LOG_LEVEL}". Expected one of: ${Object.keys(LEVELS).join(", ")}.`
+    );
+  }
+
+  const rawFormat = (process.env.LOG_FORMAT || "").trim().toLowerCase();
+  let format = "text";
+  if (LOG_FORMATS.includes(rawFormat)) {
+    format = rawFormat;
+  } else if (rawFormat) {
+    warnings.push(
+      `Ignoring invalid LOG_FORMAT "${process.env.LOG_FORMAT}". Expected one of: ${LOG_FORMATS.join(", ")}.`
+    );
+  }
+
+  const filePath = (process.env.LOG_FILE || "").trim();
+
+  return {
+    level,
+    format,
+    filePath: filePath ? path.resolve(filePath) : null,
+    maxFileBytes: readPositiveInteger("LOG_FILE_MAX_MB", DEFAULT_MAX_FILE_MB, warnings) * BYTES_PER_MB,
+    maxFiles: readPositiveInteger("LOG_FILE_MAX_FILES", DEFAULT_MAX_FILES, warnings),
+    warnings,
+  };
+}
+
+function getConfig() {
+  if (!config) {
+    config = resolveConfig();
+    const { warnings } = config;
+    config.warnings = [];
+    warnings.forEach((warning) => logger.warn(warning));
+  }
+  return config;
+}
+
+/**
+ * Re-reads LOG_LEVEL, LOG_FORMAT and LOG_FILE*. Called once the .env file has
+ * been applied, since the first log lines may be written before that.
+ */
+export function configureLogger() {
+  closeLogFile();
+  config = null;
+  getConfig();
+}
+
+// Appends synchronously so nothing is lost when the process exits right after
+// logging; keeps `maxFiles` rotated copies (app.log.1 is the newest).
+class RotatingFileSink {
+  constructor(filePath, maxBytes, maxFiles) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.fd = fs.openSync(filePath, "a");
+    this.size = fs.fstatSync(this.fd).size;
+  }
+
+  write(line) {
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxBytes) {
+      this.rotate();
+    }
+    fs.writeSync(this.fd, line);
+    this.size += bytes;
+  }
+
+  rotate() {
+    fs.closeSync(this.fd);
+    for (let index = this.maxFiles - 1; index >= 1; index -= 1) {
+      const source = `${this.filePath}.${index}`;
+      if (fs.existsSync(source)) {
+        fs.renameSync(source, `${this.filePath}.${index + 1}`);
+      }
+    }
+    fs.renameSync(this.filePath, `${this.filePath}.1`);
+    const overflow = `${this.filePath}.${this.maxFiles + 1}`;
+    if (fs.existsSync(overflow)) {
+      fs.unlinkSync(overflow);
+    }
+    this.fd = fs.openSync(this.filePath, "a");
+    this.size = 0;
+  }
+
+  close() {
+    fs.closeSync(this.fd);
+  }
+}
+
+function getFileSink(currentConfig) {
+  if (!currentConfig.filePath) {
+    return null;
+  }
+  if (!fileSink) {
+    try {
+      fileSink = new RotatingFileSink(
+        currentConfig.filePath,
+        currentConfig.maxFileBytes,
+        currentConfig.maxFiles
+      );
+    } catch (error) {
+      process.stderr.write(`Unable to open log file ${currentConfig.filePath}: ${error.message}\n`);
+      currentConfig.filePath = null;
+      return null;
+    }
+  }
+  return fileSink;
+}
+
+function closeLogFile() {
+  if (fileSink) {
+    try {
+      fileSink.close();
+    } catch (error) {
+      // The file may already be gone; nothing else to release.
+    }
+    fileSink = null;
+  }
+}
+
+function serializeError(error) {
+  if (error instanceof Error) {
+    return {
+      message: error.message,
+      ...(error.code ? { code: error.code } : {}),
+      stack: error.stack,
+    };
+  }
+  return error;
+}
+
+function formatTextValue(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return /[\s"=]/.test(text) ? JSON.stringify(text) : text;
+}
+
+function formatText(record) {
+  const { time, level, msg, err, ...fields } = record;
+  const pairs = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${formatTextValue(value)}`);
+  if (err && typeof err !== "object") {
+    pairs.push(`err=${formatTextValue(err)}`);
+  }
+
+  let line = `${time} ${level.toUpperCase().padEnd(5)} ${msg}`;
+  if (pairs.length > 0) {
+    line += ` ${pairs.join(" ")}`;
+  }
+  if (err && typeof err === "object") {
+    line += `\n${err.stack || err.message}`;
+  }
+  return `${line}\n`;
+}
+
+function write(level, context, message, fields) {
+  const currentConfig = getConfig();
+  if (LEVELS[level] < LEVELS[currentConfig.level]) {
+    return;
+  }
+
+  const record = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...context,
+    ...fields,
+  };
+  if (record.err !== undefined) {
+    record.err = serializeError(record.err);
+  }
+
+  const line = currentConfig.format === "json" ? `${JSON.stringify(record)}\n` : formatText(record);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+
+  const sink = getFileSink(currentConfig);
+  if (sink) {
+    try {
+      sink.write(line);
+    } catch (error) {
+      closeLogFile();
+      currentConfig.filePath = null;
+      process.stderr.write(`Stopped writing the log file: ${error.message}\n`);
+    }
+  }
+}
+
+/**
+ * Creates a logger whose lines carry `context` (for example `{ product, spuId,
+ * proxy, pass }`). Each method takes a message and optional fields; pass an
+ * Error as `err` to include its stack.
+ */
+export function createLogger(context = {}) {
+  return {
+    debug: (message, fields) => write("debug", context, message, fields),
+    info: (message, fields) => write("info", context, message, fields),
+    warn: (message, fields) => write("warn", context, message, fields),
+    error: (message, fields) => write("error", context, message, fields),
+    child: (extra) => createLogger({ ...context, ...extra }),
+  };
+}
+
+export const logger = createLogger();
@@ -0,0 +1,176 @@
+import { logger } from "./logger.js";
+
+// Minimal Prometheus text exposition (format 0.0.4) for the monitor's own
+// metrics. Counters and histograms are updated where things happen; gauges are
+// read from a callback at scrape time.
+
+const DURATION_BUCKETS_SECONDS = [0.5, 1, 2.5, 5, 10, 15, 20, 30, 45, 60, 90];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels ?? {});
+  if (entries.length === 0) {
+    return "";
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  if (value === -Infinity) {
+    return "-Inf";
+  }
+  return Number.isNaN(value) ? "NaN" : String(value);
+}
+
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels ?? {}).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function register(metric) {
+  if (registry.some((entry) => entry.name === metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered.`);
+  }
+  registry.push(metric);
+  return metric;
+}
+
+export function createCounter(name, help) {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labels);
+      const entry = series.get(key);
+      if (entry) {
+        entry.value += amount;
+      } else {
+        series.set(key, { labels, value: amount });
+      }
+    },
+    collect() {
+      return Array.from(series.values()).map(
+        ({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`
+      );
+    },
+  });
+}
+
+export function createHistogram(name, help, buckets = DURATION_BUCKETS_SECONDS) {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: "histogram",
+    observe(labels, value) {
+      const key = seriesKey(labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    collect() {
+      const lines = [];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+  });
+}
+
+/**
+ * Registers a gauge whose samples come from `read()` at scrape time. `read`
+ * returns a number, an array of `{ labels, value }`, or null to skip the gauge.
+ */
+export function createGauge(name, help, read) {
+  return register({
+    name,
+    help,
+    type: "gauge",
+    collect() {
+      const samples = read();
+      if (samples === null || samples === undefined) {
+        return [];
+      }
+      const list = typeof samples === "number" ? [{ labels: {}, value: samples }] : samples;
+      return list
+        .filter((sample) => typeof sample.value === "number")
+        .map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`);
+    },
+  });
+}
+
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of registry) {
+    let samples;
+    try {
+      samples = metric.collect();
+    } catch (error) {
+      logger.warn(`Unable to collect metric ${metric.name}`, { err: error.message });
+      continue;
+    }
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...samples);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+export const pageLoadsTotal = createCounter(
+  "popmart_page_loads_total",
+  "Product page loads and direct productDetails requests started."
+);
+
+export const pageTimeoutsTotal = createCounter(
+  "popmart_page_timeouts_total",
+  "Page loads and direct requests that timed out."
+);
+
+export const blockPagesTotal = createCounter(
+  "popmart_block_pages_total",
+  "Pop Mart block pages detected."
+);
+
+export const notificationsSentTotal = createCounter(
+  "popmart_notifications_sent_total",
+  "Notifications accepted by a channel."
+);
+
+export const notificationFailuresTotal = createCounter(
+  "popmart_notification_failures_total",
+  "Notifications a channel failed to deliver."
+);
+
+export const checkDurationSeconds = createHistogram(
+  "popmart_check_duration_seconds",
+  "Page load or productDetails fetch time of a single product check in seconds."
+);
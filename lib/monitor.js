@@ -0,0 +1,1712 @@
+import { TimeoutError } from "puppeteer";
+import { loadEnvFromFile } from "./env.js";
+import {
+  isShuttingDown,
+  gracefulShutdown,
+  onShutdown,
+  delay,
+  randomDelay,
+  cancelAllDelays,
+  markShutdownComplete,
+} from "./lifecycle.js";
+import {
+  initializeActiveWindows,
+  describeRegionWindows,
+  isRegionInActiveWindow,
+  waitUntilActiveWindow,
+  formatDuration,
+  MS_PER_SECOND,
+} from "./schedule.js";
+import {
+  resolveVariantKind,
+  createBuyNowLink,
+  deriveProductName,
+  extractSkuIdFromData,
+  extractSkuTitle,
+  extractSkuPrice,
+  extractSkuPricing,
+  extractProductImage,
+  inferVariantKind,
+  isSkuMonitored,
+  resolveProductRegion,
+} from "./products.js";
+import {
+  PRODUCT_DETAILS_PATH,
+  USER_AGENT,
+  extractHtmlText,
+  extractRegionCode,
+  isPopmartBlockPage,
+  resolveRegion,
+} from "./popmart.js";
+import { dispatchNotification, initNotifiers, closeNotifiers } from "./notifiers/index.js";
+import { loadProducts, saveProductEntry, validateProductConfig } from "./product-config.js";
+import { startTelegramCommands } from "./telegram-commands.js";
+import { startDashboard } from "./dashboard.js";
+import { watchFile, isHotReloadEnabled } from "./file-watcher.js";
+import { MemoryStateStore, createStateStore } from "./state-store.js";
+import { openHistoryLog } from "./history.js";
+import {
+  STOCK_EVENT_TYPES,
+  detectStockTransition,
+  detectPriceChange,
+  isStockEventEnabled,
+  renderStockEvent,
+  renderStockEventCaption,
+  renderStockEventGroupCaption,
+  describeVariant,
+} from "./stock-events.js";
+import { resolveAlertRules, isAlertAllowed } from "./alert-rules.js";
+import {
+  blockPagesTotal,
+  checkDurationSeconds,
+  createGauge,
+  pageLoadsTotal,
+  pageTimeoutsTotal,
+} from "./metrics.js";
+import {
+  NEW_PRODUCT_TYPE,
+  collectListedProducts,
+  openListingStore,
+  renderNewProductAlert,
+  renderNewProductCaption,
+  resolveListingSettings,
+} from "./listings.js";
+import { logger } from "./logger.js";
+
+const DEFAULT_CONCURRENT_CHECKS = 3;
+const WARMUP_CONCURRENCY = 3;
+const PAUSE_POLL_MS = 1000;
+
+const CHECK_MODES = ["page", "direct"];
+const GROUP_EVENT_PRIORITY = [
+  STOCK_EVENT_TYPES.RESTOCK,
+  STOCK_EVENT_TYPES.SOLD_OUT,
+  STOCK_EVENT_TYPES.INCREASE,
+  STOCK_EVENT_TYPES.DECREASE,
+];
+
+const DEFAULT_SETTINGS = {
+  checkMode: "page",
+  perProductDelay: { min: 2000, max: 4000 },
+  directDelay: { min: 200, max: 600 },
+  passDelay: { min: 4000, max: 6000 },
+  pageTimeout: 12500,
+  defaultActiveWindows: ["08:30-18:00"],
+};
+
+const lastKnownStocks = new Map();
+const lastCheckedAt = new Map();
+// spuId -> outcome of the latest check attempt, for status output.
+const checkResults = new Map();
+const activePages = new Set();
+const apiPages = new WeakMap();
+
+// Shared by the monitoring loop and the reload hooks that change it in place.
+const runState = {
+  provider: null,
+  products: [],
+  productSource: null,
+  desiredConcurrency: DEFAULT_CONCURRENT_CHECKS,
+  targetConcurrency: 1,
+  currentConcurrency: 1,
+  startedAt: Date.now(),
+  passCount: 0,
+  lastPassDurationMs: null,
+  paused: false,
+  // Products added or removed at runtime (bot commands) survive file reloads.
+  addedProducts: new Map(),
+  removedSpuIds: new Set(),
+  // spuId -> timestamp until which alerts for the product are muted.
+  mutedUntil: new Map(),
+};
+
+// Region code -> when a block page was seen; the region is no longer checked.
+const blockedRegions = new Map();
+// Region code -> the productDetails request last seen on one of its pages.
+const detailsRequestTemplates = new Map();
+let stateStore = null;
+let historyLog = null;
+// Watched category/search pages with the time each was last scanned.
+let listingWatch = null;
+
+function readPoolStat(field) {
+  const provider = runState.provider;
+  const stats = provider && typeof provider.getPoolStats === "function" ? provider.getPoolStats() : null;
+  return stats ? stats[field] : null;
+}
+
+createGauge("popmart_proxy_pool_size", "Proxy sessions in the pool.", () => readPoolStat("size"));
+createGauge("popmart_proxy_pool_available", "Idle proxy sessions ready to be acquired.", () =>
+  readPoolStat("available")
+);
+createGauge("popmart_proxy_pool_waiting", "Checks waiting to acquire a proxy session.", () =>
+  readPoolStat("waiting")
+);
+createGauge("popmart_proxy_pool_quarantined", "Proxy sessions in temporary quarantine.", () =>
+  readPoolStat("quarantined")
+);
+createGauge("popmart_proxy_pool_evicted", "Evicted proxies being re-probed in the background.", () =>
+  readPoolStat("evicted")
+);
+createGauge("popmart_last_pass_duration_seconds", "Duration of the last full pass in seconds.", () =>
+  runState.lastPassDurationMs === null ? null : runState.lastPassDurationMs / MS_PER_SECOND
+);
+createGauge("popmart_sku_online_stock", "Last seen online stock per watched SKU.", () =>
+  runState.products.flatMap((product) =>
+    getProductStock(product).map((sku) => ({
+      labels: {
+        spu_id: product.spuId,
+        sku_id: sku.skuId ?? "",
+        product: product.name,
+        sku: sku.title ?? "",
+      },
+      value: sku.stock,
+    }))
+  )
+);
+
+function resolveDesiredConcurrency(defaultValue) {
+  const envKeys = [
+    "PRODUCT_CHECK_CONCURRENCY",
+    "CONCURRENT_PRODUCT_CHECKS",
+    "PRODUCT_CHECK_BATCH_SIZE",
+  ];
+
+  for (const key of envKeys) {
+    const rawValue = process.env[key];
+    if (!rawValue) {
+      continue;
+    }
+
+    const parsedValue = Number.parseInt(rawValue, 10);
+    if (Number.isNaN(parsedValue) || parsedValue <= 0) {
+      logger.warn(
+        `Ignoring invalid concurrency value for ${key}: ${rawValue}`
+      );
+      continue;
+    }
+
+    return parsedValue;
+  }
+
+  return defaultValue;
+}
+
+function resolveCheckMode(defaultValue) {
+  const rawValue = process.env.CHECK_MODE;
+  if (!rawValue) {
+    return defaultValue;
+  }
+
+  const mode = rawValue.trim().toLowerCase();
+  if (!CHECK_MODES.includes(mode)) {
+    logger.warn(
+      `Ignoring invalid CHECK_MODE "${rawValue}". Expected one of: ${CHECK_MODES.join(", ")}.`
+    );
+    return defaultValue;
+  }
+
+  return mode;
+}
+
+// Remembers how the product page itself requested productDetails so direct
+// mode can replay the same request (with its signing headers) for other spuIds
+// of the same region.
+function rememberDetailsRequest(response, region) {
+  try {
+    const request = response.request();
+    detailsRequestTemplates.set(resolveRegion(region).code, {
+      url: request.url(),
+      headers: { ...request.headers() },
+    });
+  } catch (error) {
+    // Keep the previous template if the request is no longer available.
+  }
+}
+
+function buildDetailsUrl(template, spuId) {
+  const url = new URL(template.url);
+  url.searchParams.set("spuId", spuId);
+  return url.toString();
+}
+
+function getStockKey(product, skuIndex, skuData) {
+  const skuId = extractSkuIdFromData(skuData);
+  return skuId ? `${product.spuId}:${skuId}` : `${product.url}#${skuIndex}`;
+}
+
+async function loadStockState() {
+  stateStore = createStateStore();
+
+  try {
+    const saved = await stateStore.load();
+    saved.forEach((entry, key) => {
+      lastKnownStocks.set(key, entry);
+    });
+    logger.info(`Restored ${saved.size} SKU states from ${stateStore.label}.`);
+  } catch (error) {
+    // Writing to the store now would replace the saved state with the few
+    // SKUs seen since startup, so this run keeps its state in memory only.
+    logger.error(
+      `Unable to load SKU state from ${stateStore.label}. SKU state will not be saved until the problem is fixed.`,
+      { err: error.message }
+    );
+    await stateStore.close().catch(() => {});
+    stateStore = new MemoryStateStore();
+  }
+
+  try {
+    historyLog = await openHistoryLog();
+  } catch (error) {
+    logger.warn("Stock history is disabled", { err: error.message });
+  }
+}
+
+async function closeStockState() {
+  if (stateStore) {
+    try {
+      await stateStore.close();
+    } catch (error) {
+      logger.warn(`Unable to save SKU state to ${stateStore.label}`, { err: error });
+    }
+  }
+
+  if (listingWatch) {
+    await listingWatch.store.close();
+  }
+
+  if (historyLog) {
+    try {
+      await historyLog.close();
+    } catch (error) {
+      logger.warn(`Unable to write stock history to ${historyLog.label}`, { err: error });
+    }
+  }
+}
+
+async function applyProductDetails(product, json) {
+  const skus = json?.data?.skus;
+
+  if (!Array.isArray(skus)) {
+    return false;
+  }
+
+  const rules = resolveAlertRules(product);
+  const pendingAlerts = [];
+  const priceEvents = [];
+
+  for (let index = 0; index < skus.length; index += 1) {
+    const sku = skus[index];
+    const stock = sku?.stock?.onlineStock;
+
+    if (typeof stock === "undefined" || !isSkuMonitored(product, sku)) {
+      continue;
+    }
+
+    const key = getStockKey(product, index, sku);
+    const previous = lastKnownStocks.get(key);
+    const previousStock = previous?.stock;
+    const seenAt = new Date().toISOString();
+    const pricing = extractSkuPricing(sku, product.region);
+    const priceChange = detectPriceChange(previous, pricing, rules.priceDrop);
+    const entry = {
+      ...previous,
+      ...priceChange.state,
+      stock,
+      title: extractSkuTitle(sku) || previous?.title,
+      lastSeenAt: seenAt,
+    };
+    lastKnownStocks.set(key, entry);
+
+    historyLog?.append({
+      ts: seenAt,
+      spuId: product.spuId,
+      skuId: extractSkuIdFromData(sku) || null,
+      product: product.name,
+      stock,
+    });
+
+    const variantKind = resolveVariantKind(product, sku);
+    const eventType = detectStockTransition(previousStock, stock);
+    let inStockForMs = null;
+
+    if (eventType === STOCK_EVENT_TYPES.RESTOCK) {
+      entry.inStockSince = seenAt;
+    } else if (eventType === STOCK_EVENT_TYPES.SOLD_OUT) {
+      if (entry.inStockSince) {
+        inStockForMs = Date.parse(seenAt) - Date.parse(entry.inStockSince);
+      }
+      entry.inStockSince = null;
+    }
+
+    stateStore?.set(key, entry);
+
+    if (eventType && isStockEventEnabled(eventType)) {
+      const event = {
+        type: eventType,
+        product,
+        skuIndex: index,
+        sku,
+        skuId: extractSkuIdFromData(sku) || null,
+        skuTitle: extractSkuTitle(sku),
+        price: extractSkuPrice(sku, product.region),
+        imageUrl: extractProductImage(json.data, sku),
+        variantKind,
+        stock,
+        previousStock,
+        inStockForMs,
+      };
+      if (isAlertAllowed(rules, event, entry)) {
+        pendingAlerts.push({ key, entry, event });
+      }
+    }
+
+    if (priceChange.change && isStockEventEnabled(priceChange.change.type)) {
+      priceEvents.push({
+        type: priceChange.change.type,
+        product,
+        skuIndex: index,
+        sku,
+        skuId: extractSkuIdFromData(sku) || null,
+        skuTitle: extractSkuTitle(sku),
+        price: pricing.discountPrice ?? pricing.price,
+        previousPrice: priceChange.change.previousPrice,
+        listPrice: pricing.price,
+        promotions: pricing.promotions,
+        newPromotions: priceChange.change.newPromotions,
+        imageUrl: extractProductImage(json.data, sku),
+        variantKind,
+        stock,
+        previousStock: stock,
+        inStockForMs: null,
+      });
+    }
+  }
+
+  if (pendingAlerts.length > 0) {
+    const events = pendingAlerts.map((alert) => alert.event);
+    let notified = false;
+    if (rules.groupSkus && events.length > 1) {
+      notified = await notifyStockEventGroup(product, events);
+    } else {
+      for (const event of events) {
+        notified = (await notifyStockEvent(event)) || notified;
+      }
+    }
+
+    if (notified) {
+      const notifiedAt = new Date().toISOString();
+      for (const { key, entry, event } of pendingAlerts) {
+        entry.lastNotifiedStock = event.stock;
+        entry.lastNotifiedAt = notifiedAt;
+        stateStore?.set(key, entry);
+      }
+    }
+  }
+
+  // Price alerts are sent one per SKU and never grouped with stock alerts.
+  for (const event of priceEvents) {
+    await notifyStockEvent(event);
+  }
+
+  return true;
+}
+
+function createResponseHandler(product) {
+  return async (response) => {
+    if (isShuttingDown()) {
+      return;
+    }
+
+    try {
+      const responseUrl = response.url();
+      if (!responseUrl.includes(PRODUCT_DETAILS_PATH)) {
+        return;
+      }
+
+      if (product.spuId && !responseUrl.includes(`spuId=${product.spuId}`)) {
+        return;
+      }
+
+      rememberDetailsRequest(response, product.region);
+
+      const json = await response.json();
+      await applyProductDetails(product, json);
+    } catch (error) {
+      // Ignore non-JSON responses or pages that close while downloading.
+    }
+  };
+}
+
+function isProductMuted(product, now = Date.now()) {
+  const mutedUntil = runState.mutedUntil.get(product.spuId);
+  if (mutedUntil === undefined) {
+    return false;
+  }
+  if (mutedUntil <= now) {
+    runState.mutedUntil.delete(product.spuId);
+    return false;
+  }
+  return true;
+}
+
+function resolveBuyNowLink(event) {
+  return event.stock > 0 ? createBuyNowLink(event.product, event.skuIndex, event.sku) : null;
+}
+
+function describeStockEvent(event, buyNowLink) {
+  return {
+    skuId: event.skuId,
+    skuTitle: event.skuTitle,
+    variant: describeVariant(event.variantKind, event.skuTitle),
+    variantKind: event.variantKind,
+    stock: event.stock,
+    previousStock: event.previousStock ?? null,
+    price: event.price,
+    ...(event.previousPrice !== undefined
+      ? {
+          previousPrice: event.previousPrice,
+          listPrice: event.listPrice,
+          promotions: event.promotions,
+          newPromotions: event.newPromotions,
+        }
+      : {}),
+    imageUrl: event.imageUrl,
+    inStockForMs: event.inStockForMs,
+    buyNowLink,
+  };
+}
+
+async function notifyStockEvent(event) {
+  if (isProductMuted(event.product)) {
+    return false;
+  }
+
+  const buyNowLink = resolveBuyNowLink(event);
+
+  await dispatchNotification({
+    type: event.type,
+    text: renderStockEvent({ ...event, buyNowLink }),
+    html: renderStockEventCaption(event),
+    product: event.product,
+    data: describeStockEvent(event, buyNowLink),
+  });
+  return true;
+}
+
+// One message for several SKUs of the same product. It is routed like the
+// most important event in the group (restock first).
+async function notifyStockEventGroup(product, events) {
+  if (isProductMuted(product)) {
+    return false;
+  }
+
+  const links = events.map((event) => resolveBuyNowLink(event));
+  const type = GROUP_EVENT_PRIORITY.find((candidate) =>
+    events.some((event) => event.type === candidate)
+  );
+
+  await dispatchNotification({
+    type,
+    text: events
+      .map((event, index) => renderStockEvent({ ...event, buyNowLink: links[index] }))
+      .join("\n\n"),
+    html: renderStockEventGroupCaption(events),
+    product,
+    data: {
+      imageUrl: events.find((event) => event.imageUrl)?.imageUrl ?? null,
+      buyNowLink: links.find(Boolean) ?? null,
+      skus: events.map((event, index) => describeStockEvent(event, links[index])),
+    },
+  });
+  return true;
+}
+
+async function safeClosePage(page) {
+  if (!page) {
+    return;
+  }
+
+  activePages.delete(page);
+
+  try {
+    if (typeof page.isClosed === "function" && page.isClosed()) {
+      return;
+    }
+    await page.close({ runBeforeUnload: false });
+  } catch (error) {
+    if (!isShuttingDown()) {
+      logger.warn("Error closing page", { err: error });
+    }
+  }
+}
+
+async function closeAllPages() {
+  const pages = Array.from(activePages);
+  await Promise.all(pages.map((page) => safeClosePage(page)));
+}
+
+function isRegionBlocked(entry) {
+  return blockedRegions.has(resolveRegion(entry.region).code);
+}
+
+// A block only stops the checks of its own region; the process shuts down
+// once every watched region is blocked.
+async function handlePopmartBlock(product, log) {
+  blockPagesTotal.inc();
+
+  const { code } = resolveRegion(product.region);
+  if (blockedRegions.has(code)) {
+    return;
+  }
+
+  blockedRegions.set(code, Date.now());
+  const shutDown = getWatchedRegions().length === 0;
+
+  log.error(
+    `Detected Pop Mart block page for region ${code} while loading ${product.name}. ` +
+      (shutDown ? "No region is left to check. Initiating shutdown." : `Stopping ${code} checks until restart.`)
+  );
+
+  const messageLines = [
+    "[ALERT] Pop Mart da gioi han truy cap bot.",
+    "Khu vuc: " + code + (shutDown ? "" : " (da dung kiem tra khu vuc nay)"),
+    "San pham: " + product.name,
+    "URL: " + product.url,
+    "Thoi gian: " + new Date().toISOString(),
+  ];
+
+  await dispatchNotification({
+    type: "block",
+    text: messageLines.join("\n"),
+    product,
+  });
+
+  if (shutDown) {
+    gracefulShutdown().catch((error) => {
+      log.error("Error during shutdown after Pop Mart block", { err: error });
+    });
+  }
+}
+
+async function openPage(target, product) {
+  const page = await target.browser.newPage();
+  activePages.add(page);
+
+  try {
+    if (target.credentials) {
+      await page.authenticate(target.credentials);
+    }
+
+    await page.setExtraHTTPHeaders({
+      "Accept-Language": resolveRegion(product?.region).acceptLanguage,
+    });
+
+    await page.setUserAgent(USER_AGENT);
+  } catch (error) {
+    await safeClosePage(page);
+    throw error;
+  }
+
+  return page;
+}
+
+// Every log line of a check carries the product, its spuId, the proxy (if
+// any) and the pass it belongs to.
+function createCheckLogger(product, target) {
+  return logger.child({
+    product: product.name,
+    spuId: product.spuId,
+    proxy: target.label ?? undefined,
+    pass: runState.passCount + 1,
+  });
+}
+
+// A target is what a browser provider hands to checkProduct: the browser to
+// open the page in, an optional label for logs and optional proxy credentials.
+async function checkProduct(product, target, settings) {
+  if (isShuttingDown()) {
+    return { success: false, failureReason: "Shutting down" };
+  }
+
+  let page = null;
+  let success = false;
+  let failureReason = null;
+  let timedOut = false;
+  // Only the page load is timed; the politeness delay afterwards is not.
+  let loadStartedAt = null;
+  let durationMs = null;
+  const responseHandler = createResponseHandler(product);
+  const log = createCheckLogger(product, target);
+
+  try {
+    page = await openPage(target, product);
+    page.on("response", responseHandler);
+
+    log.info(`Loading ${product.name}`);
+
+    pageLoadsTotal.inc({ mode: "page" });
+    loadStartedAt = Date.now();
+    await page.goto(product.url, {
+      waitUntil: "networkidle2",
+      timeout: settings.pageTimeout,
+    });
+
+    if (!isShuttingDown()) {
+      const pageText = extractHtmlText(await page.content());
+      durationMs = Date.now() - loadStartedAt;
+      if (isPopmartBlockPage(pageText, product.region)) {
+        failureReason = "Pop Mart block detected";
+        await handlePopmartBlock(product, log);
+        return { success: false, failureReason, durationMs };
+      }
+
+      await randomDelay(settings.perProductDelay.min, settings.perProductDelay.max);
+      success = true;
+    } else {
+      failureReason = "Shutting down";
+    }
+  } catch (error) {
+    if (isShuttingDown()) {
+      failureReason = "Shutting down";
+      return { success: false, failureReason };
+    }
+
+    if (loadStartedAt !== null && durationMs === null) {
+      durationMs = Date.now() - loadStartedAt;
+    }
+
+    if (error instanceof TimeoutError) {
+      pageTimeoutsTotal.inc({ mode: "page" });
+      timedOut = true;
+      failureReason = `Timeout after ${settings.pageTimeout}ms`;
+      log.warn(`Skipping ${product.name} after ${settings.pageTimeout}ms without response.`);
+    } else {
+      failureReason = error?.message || "Unknown navigation error";
+      log.error(`Failed to load ${product.url}`, { err: error });
+    }
+  } finally {
+    if (page) {
+      if (typeof page.off === "function") {
+        page.off("response", responseHandler);
+      } else if (typeof page.removeListener === "function") {
+        page.removeListener("response", responseHandler);
+      }
+    }
+
+    await safeClosePage(page);
+  }
+
+  return { success, failureReason, timedOut, durationMs };
+}
+
+// Direct mode keeps one page per browser parked on the Pop Mart origin so
+// fetch() calls carry the cookies the site has already set for that browser.
+async function getApiPage(target, product, settings) {
+  const existing = apiPages.get(target.browser);
+  if (existing) {
+    const page = await existing.catch(() => null);
+    if (page && !page.isClosed()) {
+      return page;
+    }
+    apiPages.delete(target.browser);
+  }
+
+  const opening = (async () => {
+    const page = await openPage(target, product);
+    await page.goto(new URL(product.url).origin, {
+      waitUntil: "domcontentloaded",
+      timeout: settings.pageTimeout,
+    });
+    return page;
+  })();
+
+  apiPages.set(target.browser, opening);
+
+  try {
+    return await opening;
+  } catch (error) {
+    apiPages.delete(target.browser);
+    throw error;
+  }
+}
+
+async function fetchProductDetails(page, product, template, settings) {
+  return page.evaluate(
+    async (url, headers, timeoutMs) => {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const response = await fetch(url, {
+          headers,
+          credentials: "include",
+          signal: controller.signal,
+        });
+        return { status: response.status, text: await response.text() };
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+    buildDetailsUrl(template, product.spuId),
+    template.headers,
+    settings.pageTimeout
+  );
+}
+
+async function checkProductDirect(product, target, settings) {
+  if (isShuttingDown()) {
+    return { success: false, failureReason: "Shutting down" };
+  }
+
+  const template = detailsRequestTemplates.get(resolveRegion(product.region).code);
+  if (!template) {
+    return checkProduct(product, target, settings);
+  }
+
+  const log = createCheckLogger(product, target);
+
+  try {
+    const page = await getApiPage(target, product, settings);
+    pageLoadsTotal.inc({ mode: "direct" });
+    const fetchStartedAt = Date.now();
+    const { status, text } = await fetchProductDetails(page, product, template, settings);
+    const durationMs = Date.now() - fetchStartedAt;
+
+    // A JSON payload is product data, whatever its descriptions say.
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      if (isPopmartBlockPage(extractHtmlText(text), product.region)) {
+        await handlePopmartBlock(product, log);
+        return { success: false, failureReason: "Pop Mart block detected", durationMs };
+      }
+    }
+
+    if (status !== 200) {
+      throw new Error(`HTTP ${status}`);
+    }
+    if (!json) {
+      throw new Error("response is not JSON");
+    }
+
+    const handled = await applyProductDetails(product, json);
+    if (!handled) {
+      throw new Error("response has no SKU data");
+    }
+
+    await randomDelay(settings.directDelay.min, settings.directDelay.max);
+    return { success: true, failureReason: null, durationMs };
+  } catch (error) {
+    if (isShuttingDown()) {
+      return { success: false, failureReason: "Shutting down" };
+    }
+
+    // page.evaluate reports the fetch AbortController firing as an abort.
+    if (error instanceof TimeoutError || /abort/i.test(error?.message || "")) {
+      pageTimeoutsTotal.inc({ mode: "direct" });
+    }
+
+    log.warn(
+      `Direct productDetails request for ${product.name} failed. Falling back to full page load.`,
+      { err: error?.message || String(error) }
+    );
+    return checkProduct(product, target, settings);
+  }
+}
+
+async function loadDetailsOnce(product, target, settings) {
+  const log = createCheckLogger(product, target);
+  let page = null;
+
+  try {
+    page = await openPage(target, product);
+    // Matched like createResponseHandler: any productDetails response when
+    // the spuId is not known yet.
+    const detailsResponse = page.waitForResponse(
+      (response) =>
+        response.url().includes(PRODUCT_DETAILS_PATH) &&
+        (!product.spuId || response.url().includes(`spuId=${product.spuId}`)),
+      { timeout: settings.pageTimeout }
+    );
+    // Settled here so a page that never requests the details does not leave
+    // an unhandled rejection behind.
+    detailsResponse.catch(() => {});
+
+    log.debug(`Loading ${product.name} once`);
+    await page.goto(product.url, { waitUntil: "networkidle2", timeout: settings.pageTimeout });
+
+    if (isPopmartBlockPage(extractHtmlText(await page.content()), product.region)) {
+      return { success: false, failureReason: "Pop Mart block detected" };
+    }
+
+    const response = await detailsResponse;
+    const json = await response.json();
+    if (!Array.isArray(json?.data?.skus)) {
+      return { success: false, failureReason: "productDetails response has no SKU data" };
+    }
+    const spuId = new URL(response.url()).searchParams.get("spuId") || product.spuId;
+    return { success: true, failureReason: null, details: { spuId, data: json.data } };
+  } catch (error) {
+    const timedOut = error instanceof TimeoutError;
+    return {
+      success: false,
+      failureReason: timedOut ? `Timeout after ${settings.pageTimeout}ms` : error?.message || String(error),
+      timedOut,
+    };
+  } finally {
+    await safeClosePage(page);
+  }
+}
+
+/**
+ * Loads one product page through an initialized provider and resolves to
+ * `{ spuId, data }`, the productDetails payload the page requested. Unlike the
+ * monitoring loop it keeps no stock state and sends no alerts; used by the
+ * one-shot CLI commands. `product.spuId` may be null to take the first
+ * productDetails response.
+ */
+export async function fetchProductDetailsOnce(provider, product, options = {}) {
+  const settings = { ...DEFAULT_SETTINGS, ...options };
+  let details = null;
+  let failureReason = null;
+
+  await provider.runCheck(product, async (target) => {
+    const result = await loadDetailsOnce(product, target, settings);
+    if (result.success) {
+      details = result.details;
+    } else {
+      failureReason = result.failureReason;
+    }
+    return result;
+  });
+
+  if (!details) {
+    throw new Error(`Unable to load ${product.url}: ${failureReason || "no browser was available"}`);
+  }
+  return details;
+}
+
+// Higher priority products are checked first in every pass; the sort is
+// stable so equal priorities keep their order from the config file.
+function prepareWatchedProducts(products) {
+  const fileSpuIds = new Set(products.map((product) => product.spuId));
+  const runtimeProducts = Array.from(runState.addedProducts.values()).filter(
+    (product) => !fileSpuIds.has(product.spuId)
+  );
+
+  return products
+    .concat(runtimeProducts)
+    .filter((product) => product.enabled !== false)
+    .filter((product) => !runState.removedSpuIds.has(product.spuId))
+    .sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0));
+}
+
+function isProductWatched(product) {
+  return runState.products.some((entry) => entry.spuId === product.spuId);
+}
+
+// The regions of every watched product and listing page, each once, leaving
+// out blocked regions.
+function getWatchedRegions() {
+  const regions = new Map();
+  const pages = listingWatch ? listingWatch.settings.pages : [];
+  for (const entry of runState.products.concat(pages)) {
+    const region = resolveRegion(entry.region);
+    if (!blockedRegions.has(region.code)) {
+      regions.set(region.code, region);
+    }
+  }
+  return Array.from(regions.values());
+}
+
+function isAnyRegionActive(regions = getWatchedRegions()) {
+  return regions.some((region) => isRegionInActiveWindow(region));
+}
+
+function isProductDue(product, now = Date.now()) {
+  if (!product.checkIntervalMs) {
+    return true;
+  }
+
+  const previous = lastCheckedAt.get(product.spuId);
+  return typeof previous !== "number" || now - previous >= product.checkIntervalMs;
+}
+
+function resolveConcurrency(desiredConcurrency, productCount, provider) {
+  const providerCapacity = Math.max(0, provider.size);
+  const constraints = [];
+
+  if (productCount < desiredConcurrency) {
+    constraints.push(`products (${productCount})`);
+  }
+
+  if (providerCapacity < desiredConcurrency) {
+    constraints.push(`${provider.capacityLabel} (${providerCapacity})`);
+  }
+
+  const targetConcurrency = Math.max(
+    1,
+    Math.min(desiredConcurrency, productCount, providerCapacity)
+  );
+
+  if (targetConcurrency < desiredConcurrency) {
+    if (constraints.length > 0) {
+      logger.warn(
+        `Reducing concurrency from ${desiredConcurrency} to ${targetConcurrency} to match available ${constraints.join(" and ")}.`
+      );
+    } else {
+      logger.warn(
+        `Reducing concurrency from ${desiredConcurrency} to ${targetConcurrency}.`
+      );
+    }
+  }
+
+  return targetConcurrency;
+}
+
+function refreshTargetConcurrency() {
+  runState.targetConcurrency = resolveConcurrency(
+    runState.desiredConcurrency,
+    runState.products.length,
+    runState.provider
+  );
+  return runState.targetConcurrency;
+}
+
+function describeProducts(products) {
+  return products.map((product) => product.name).join(", ");
+}
+
+function serializeProduct(product) {
+  return JSON.stringify(product, (key, value) =>
+    value instanceof Set ? Array.from(value) : value
+  );
+}
+
+function diffProducts(previous, next) {
+  const previousBySpuId = new Map(previous.map((product) => [product.spuId, product]));
+  const nextSpuIds = new Set(next.map((product) => product.spuId));
+
+  return {
+    added: next.filter((product) => !previousBySpuId.has(product.spuId)),
+    removed: previous.filter((product) => !nextSpuIds.has(product.spuId)),
+    updated: next.filter((product) => {
+      const existing = previousBySpuId.get(product.spuId);
+      return existing && serializeProduct(existing) !== serializeProduct(product);
+    }),
+  };
+}
+
+async function reloadProducts() {
+  let loaded;
+  try {
+    loaded = await loadProducts();
+  } catch (error) {
+    logger.error(
+      `Rejected product list change: ${error.message}\nKeeping the current ${runState.products.length} products.`
+    );
+    return;
+  }
+
+  const next = prepareWatchedProducts(loaded.products);
+  if (next.length === 0) {
+    logger.error(
+      `Rejected product list change: ${loaded.source} has no enabled products. Keeping the current ${runState.products.length} products.`
+    );
+    return;
+  }
+
+  const { added, removed, updated } = diffProducts(runState.products, next);
+  const orderChanged =
+    next.map((product) => product.spuId).join() !==
+    runState.products.map((product) => product.spuId).join();
+
+  if (added.length === 0 && removed.length === 0 && updated.length === 0 && !orderChanged) {
+    return;
+  }
+
+  runState.products = next;
+  runState.productSource = loaded.source;
+
+  const parts = [];
+  if (added.length > 0) {
+    parts.push(`added ${describeProducts(added)}`);
+  }
+  if (removed.length > 0) {
+    parts.push(`removed ${describeProducts(removed)}`);
+  }
+  if (updated.length > 0) {
+    parts.push(`updated ${describeProducts(updated)}`);
+  }
+  if (parts.length === 0) {
+    parts.push("reordered products");
+  }
+  logger.info(
+    `Reloaded ${next.length} products from ${loaded.source}: ${parts.join("; ")}.`
+  );
+
+  refreshTargetConcurrency();
+}
+
+async function reloadProviderSources() {
+  try {
+    const changed = await runState.provider.reload();
+    if (changed) {
+      refreshTargetConcurrency();
+    }
+  } catch (error) {
+    logger.error(`Rejected ${runState.provider.capacityLabel} change: ${error.message}`);
+  }
+}
+
+function startHotReload(productSourcePath) {
+  if (!isHotReloadEnabled()) {
+    return [];
+  }
+
+  const stopWatchers = [watchFile(productSourcePath, reloadProducts)];
+
+  if (typeof runState.provider.reload === "function") {
+    for (const watchPath of runState.provider.watchPaths ?? []) {
+      stopWatchers.push(watchFile(watchPath, reloadProviderSources));
+    }
+  }
+
+  logger.info("Watching the product list and provider sources for changes.");
+  return stopWatchers;
+}
+
+function describeProvider() {
+  const { provider } = runState;
+  if (!provider) {
+    return "not started";
+  }
+  if (typeof provider.describe === "function") {
+    return provider.describe();
+  }
+  return `${provider.name} (${provider.size} ${provider.capacityLabel})`;
+}
+
+function recordCheckResult(product, target, result, durationMs) {
+  if (isShuttingDown()) {
+    return;
+  }
+
+  checkDurationSeconds.observe(
+    { result: result?.success ? "success" : "failure" },
+    durationMs / MS_PER_SECOND
+  );
+
+  const checkedAt = new Date().toISOString();
+  const previous = checkResults.get(product.spuId) ?? {};
+  checkResults.set(product.spuId, {
+    ...previous,
+    lastCheckedAt: checkedAt,
+    lastDurationMs: durationMs,
+    lastVia: target.label ?? null,
+    ...(result?.success
+      ? { lastSuccessAt: checkedAt }
+      : { lastError: result?.failureReason || "Unknown error", lastErrorAt: checkedAt }),
+  });
+}
+
+function findWatchedProduct(spuId) {
+  return runState.products.find((product) => product.spuId === String(spuId)) ?? null;
+}
+
+function getProductStock(product) {
+  const prefix = `${product.spuId}:`;
+  const legacyPrefix = `${product.url}#`;
+  const skus = [];
+
+  lastKnownStocks.forEach((entry, key) => {
+    if (key.startsWith(prefix) || key.startsWith(legacyPrefix)) {
+      skus.push({
+        skuId: key.startsWith(prefix) ? key.slice(prefix.length) : null,
+        ...entry,
+      });
+    }
+  });
+
+  return skus;
+}
+
+function watchProductAtRuntime(product) {
+  runState.removedSpuIds.delete(product.spuId);
+  runState.addedProducts.set(product.spuId, product);
+  runState.products = prepareWatchedProducts(
+    runState.products.filter((entry) => !runState.addedProducts.has(entry.spuId))
+  );
+  refreshTargetConcurrency();
+  logger.info(`Added ${product.name} (spuId ${product.spuId}) at runtime.`);
+}
+
+/**
+ * Control surface over the running monitor for command interfaces. Every
+ * method works on the same product list and stock map as the loop itself.
+ */
+export const monitorController = {
+  getStatus() {
+    return {
+      uptimeMs: Date.now() - runState.startedAt,
+      passCount: runState.passCount,
+      lastPassDurationMs: runState.lastPassDurationMs,
+      paused: runState.paused,
+      productCount: runState.products.length,
+      productSource: runState.productSource,
+      provider: describeProvider(),
+      providerSize: runState.provider ? runState.provider.size : 0,
+      currentConcurrency: Math.min(runState.currentConcurrency, runState.targetConcurrency),
+      targetConcurrency: runState.targetConcurrency,
+      activeWindows: describeRegionWindows(getWatchedRegions()),
+      inActiveWindow: isAnyRegionActive(),
+      blockedRegions: Array.from(blockedRegions.keys()),
+    };
+  },
+
+  listProducts() {
+    return runState.products.slice();
+  },
+
+  addProduct({ url, name }) {
+    const [product] = validateProductConfig(
+      [{ name: name || deriveProductName(url) || url, url }],
+      "New product"
+    );
+
+    if (findWatchedProduct(product.spuId)) {
+      throw new Error(`spuId ${product.spuId} is already being watched.`);
+    }
+
+    watchProductAtRuntime(product);
+    return product;
+  },
+
+  removeProduct(spuId) {
+    const product = findWatchedProduct(spuId);
+    if (!product) {
+      return null;
+    }
+
+    runState.addedProducts.delete(product.spuId);
+    runState.removedSpuIds.add(product.spuId);
+    runState.products = runState.products.filter((entry) => entry.spuId !== product.spuId);
+    refreshTargetConcurrency();
+    logger.info(`Removed ${product.name} (spuId ${product.spuId}) at runtime.`);
+    return product;
+  },
+
+  pause() {
+    const changed = !runState.paused;
+    runState.paused = true;
+    if (changed) {
+      logger.info("Monitoring paused.");
+    }
+    return changed;
+  },
+
+  resume() {
+    const changed = runState.paused;
+    runState.paused = false;
+    if (changed) {
+      logger.info("Monitoring resumed.");
+    }
+    return changed;
+  },
+
+  muteProduct(spuId, durationMs) {
+    const product = findWatchedProduct(spuId);
+    if (!product) {
+      return null;
+    }
+
+    const until = Date.now() + durationMs;
+    runState.mutedUntil.set(product.spuId, until);
+    logger.info(`Muted alerts for ${product.name} (spuId ${product.spuId}) until ${new Date(until).toISOString()}.`);
+    return product;
+  },
+
+  unmuteProduct(spuId) {
+    const product = findWatchedProduct(spuId);
+    if (!product) {
+      return null;
+    }
+
+    if (runState.mutedUntil.delete(product.spuId)) {
+      logger.info(`Unmuted alerts for ${product.name} (spuId ${product.spuId}).`);
+    }
+    return product;
+  },
+
+  // Every watched product with its SKU stock and latest check outcome.
+  getProductOverview() {
+    const now = Date.now();
+    return runState.products.map((product) => ({
+      spuId: product.spuId,
+      name: product.name,
+      url: product.url,
+      region: resolveRegion(product.region).code,
+      priority: product.priority ?? 0,
+      tags: product.tags ?? [],
+      muted: isProductMuted(product, now),
+      lastCheckedAt: null,
+      lastSuccessAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      lastDurationMs: null,
+      lastVia: null,
+      ...checkResults.get(product.spuId),
+      skus: getProductStock(product),
+    }));
+  },
+
+  getProviderSessions() {
+    const provider = runState.provider;
+    return provider && typeof provider.getSessions === "function" ? provider.getSessions() : [];
+  },
+
+  getStock(spuId) {
+    const product = findWatchedProduct(spuId);
+    if (!product) {
+      return null;
+    }
+    return { product, skus: getProductStock(product) };
+  },
+};
+
+async function openListingWatch() {
+  const settings = resolveListingSettings();
+  if (settings.pages.length === 0) {
+    return null;
+  }
+
+  let store;
+  try {
+    store = await openListingStore();
+  } catch (error) {
+    logger.warn("Watching listing pages is disabled", { err: error.message });
+    return null;
+  }
+
+  logger.info(
+    `Watching ${settings.pages.length} listing page${settings.pages.length === 1 ? "" : "s"} for new products every ${formatDuration(settings.intervalMs)}` +
+      (settings.autoAdd ? "; new products are added to the product file." : ".")
+  );
+  return { settings, store, lastScanAt: new Map() };
+}
+
+async function loadListingPage(listing, target, settings) {
+  const log = createCheckLogger(listing, target);
+  let page = null;
+
+  try {
+    page = await openPage(target, listing);
+    log.info(`Scanning ${listing.name} for new products`);
+
+    pageLoadsTotal.inc({ mode: "listing" });
+    await page.goto(listing.url, { waitUntil: "networkidle2", timeout: settings.pageTimeout });
+
+    if (isPopmartBlockPage(extractHtmlText(await page.content()), listing.region)) {
+      await handlePopmartBlock(listing, log);
+      return { success: false, failureReason: "Pop Mart block detected" };
+    }
+
+    const products = await collectListedProducts(page);
+    if (products.length === 0) {
+      return { success: false, failureReason: "no product links found" };
+    }
+    return { success: true, failureReason: null, products };
+  } catch (error) {
+    if (isShuttingDown()) {
+      return { success: false, failureReason: "Shutting down" };
+    }
+
+    const timedOut = error instanceof TimeoutError;
+    if (timedOut) {
+      pageTimeoutsTotal.inc({ mode: "listing" });
+    }
+    return {
+      success: false,
+      failureReason: timedOut ? `Timeout after ${settings.pageTimeout}ms` : error?.message || String(error),
+      timedOut,
+    };
+  } finally {
+    await safeClosePage(page);
+  }
+}
+
+// Takes the single-box and set SKU ids from the SKU titles, saves the product
+// to the product file and starts watching it right away.
+async function addListedProduct(listed, settings) {
+  const { data } = await fetchProductDetailsOnce(runState.provider, listed, settings);
+  const skuIds = { single: null, set: null };
+  for (const sku of data.skus) {
+    const kind = inferVariantKind(sku);
+    const skuId = extractSkuIdFromData(sku);
+    if (kind && skuId && !skuIds[kind]) {
+      skuIds[kind] = skuId;
+    }
+  }
+
+  const name = (typeof data.title === "string" && data.title.trim()) || listed.name;
+  const [product] = validateProductConfig(
+    [
+      {
+        name,
+        url: listed.url,
+        spuId: listed.spuId,
+        skuSingle: skuIds.single,
+        skuSet: skuIds.set,
+        region: listed.region,
+      },
+    ],
+    "Listed product"
+  );
+
+  try {
+    const saved = await saveProductEntry({
+      name,
+      url: product.url,
+      spuId: product.spuId,
+      skuSingleId: product.skuSingleId,
+      skuSetId: product.skuSetId,
+      // Written only when the URL alone would resolve to another region.
+      region: resolveProductRegion(product.url) === product.region ? null : product.region,
+    });
+    logger.info(`Saved ${name} (spuId ${product.spuId}) to ${saved.source}.`);
+  } catch (error) {
+    logger.warn(`Unable to save ${name} to the product file. Watching it until restart.`, {
+      err: error.message,
+    });
+  }
+
+  if (!findWatchedProduct(product.spuId)) {
+    watchProductAtRuntime(product);
+  }
+  return product;
+}
+
+async function scanListing(listing, settings) {
+  let products = null;
+  let failureReason = null;
+
+  await runState.provider.runCheck(listing, async (target) => {
+    const result = await loadListingPage(listing, target, settings);
+    if (result.success) {
+      products = result.products;
+    } else {
+      failureReason = result.failureReason;
+    }
+    return result;
+  });
+
+  if (isShuttingDown()) {
+    return;
+  }
+  if (!products) {
+    logger.warn(`Unable to scan ${listing.name} for new products: ${failureReason || "no browser was available"}.`);
+    return;
+  }
+
+  const added = listingWatch.store.record(listing.url, products);
+  if (added === null) {
+    logger.info(`Recorded the ${products.length} products listed on ${listing.name}. Products listed later are alerted.`);
+    return;
+  }
+
+  for (const found of added) {
+    if (isShuttingDown()) {
+      return;
+    }
+    if (findWatchedProduct(found.spuId)) {
+      continue;
+    }
+
+    // Product links usually name their region; otherwise the listing page's applies.
+    const listed = { ...found, region: extractRegionCode(found.url) ?? listing.region };
+
+    logger.info(`New product listed on ${listing.name}: ${listed.name} (spuId ${listed.spuId}).`);
+    let product = listed;
+    let autoAdded;
+    if (listingWatch.settings.autoAdd) {
+      try {
+        product = await addListedProduct(listed, settings);
+        autoAdded = true;
+      } catch (error) {
+        autoAdded = false;
+        logger.warn(`Unable to add ${listed.name} (spuId ${listed.spuId}) to the watched products`, {
+          err: error.message,
+        });
+      }
+    }
+
+    await dispatchNotification({
+      type: NEW_PRODUCT_TYPE,
+      text: renderNewProductAlert({ listing, product, added: autoAdded }),
+      html: renderNewProductCaption({ listing, product, added: autoAdded }),
+      product,
+      data: { listingUrl: listing.url, autoAdded: autoAdded ?? false, imageUrl: listed.imageUrl ?? null },
+    });
+  }
+}
+
+// Listing pages are scanned between passes, each at most once per interval.
+async function scanDueListings(settings) {
+  if (!listingWatch) {
+    return;
+  }
+
+  for (const listing of listingWatch.settings.pages) {
+    if (isShuttingDown()) {
+      return;
+    }
+    if (isRegionBlocked(listing) || !isRegionInActiveWindow(resolveRegion(listing.region))) {
+      continue;
+    }
+
+    const lastScanAt = listingWatch.lastScanAt.get(listing.url);
+    if (typeof lastScanAt === "number" && Date.now() - lastScanAt < listingWatch.settings.intervalMs) {
+      continue;
+    }
+    listingWatch.lastScanAt.set(listing.url, Date.now());
+
+    try {
+      await scanListing(listing, settings);
+    } catch (error) {
+      if (!isShuttingDown()) {
+        logger.error(`Unexpected error while scanning ${listing.url}`, { err: error });
+      }
+    }
+  }
+}
+
+async function waitWhilePaused() {
+  while (runState.paused && !isShuttingDown()) {
+    await delay(PAUSE_POLL_MS);
+  }
+}
+
+/**
+ * Runs the monitoring loop until shutdown using the given browser provider.
+ *
+ * A provider exposes `init()`, `shutdown()`, a `size` (how many checks it can
+ * serve in parallel), a `capacityLabel` for log messages and
+ * `runCheck(product, attempt)`, which calls `attempt(target)` with one or more
+ * browser targets until a check succeeds and resolves to a boolean. Each
+ * attempt resolves to `{ success, failureReason, timedOut }`. Providers
+ * that read their own files may also expose `watchPaths` and `reload()`, which
+ * resolves to true when the provider's capacity changed, and providers with
+ * several browsers `getSessions()` for status output and `getPoolStats()`
+ * (`{ size, available, waiting }`) for metrics.
+ */
+export async function runMonitor(provider, options = {}) {
+  const settings = { ...DEFAULT_SETTINGS, ...options };
+  settings.checkMode = resolveCheckMode(settings.checkMode);
+
+  await loadEnvFromFile();
+
+  initializeActiveWindows({ defaults: settings.defaultActiveWindows, force: true });
+
+  const {
+    products: configuredProducts,
+    source,
+    sourcePath,
+  } = await loadProducts();
+  const products = prepareWatchedProducts(configuredProducts);
+  const disabledCount = configuredProducts.length - products.length;
+  logger.info(
+    `Loaded ${products.length} products from ${source}${disabledCount > 0 ? ` (${disabledCount} disabled)` : ""}.`
+  );
+
+  if (products.length === 0) {
+    throw new Error(`${source} has no enabled products.`);
+  }
+
+  runState.provider = provider;
+  runState.products = products;
+  runState.productSource = source;
+
+  await loadStockState();
+  listingWatch = await openListingWatch();
+  logger.info(`Active monitoring windows: ${describeRegionWindows(getWatchedRegions())}.`);
+  await initNotifiers();
+
+  onShutdown(closeAllPages);
+  onShutdown(() => provider.shutdown());
+
+  let stopWatchers = [];
+
+  try {
+    await provider.init();
+
+    runState.desiredConcurrency = resolveDesiredConcurrency(DEFAULT_CONCURRENT_CHECKS);
+    const targetConcurrency = refreshTargetConcurrency();
+    runState.currentConcurrency = Math.min(WARMUP_CONCURRENCY, targetConcurrency);
+
+    if (runState.currentConcurrency >= targetConcurrency) {
+      logger.info(`Using up to ${targetConcurrency} concurrent checks per pass.`);
+    } else {
+      logger.info(
+        `Target concurrency ${targetConcurrency}. Warmup starting with ${runState.currentConcurrency} concurrent check and increasing by 1 after each full pass.`
+      );
+    }
+
+    stopWatchers = startHotReload(sourcePath);
+    stopWatchers.push(startTelegramCommands(monitorController));
+    stopWatchers.push(startDashboard(monitorController));
+
+    const check = settings.checkMode === "direct" ? checkProductDirect : checkProduct;
+    const attempt = (product) => async (target) => {
+      const startedAt = Date.now();
+      try {
+        const result = await check(product, target, settings);
+        // Checks report their own load or fetch time, without the delays.
+        recordCheckResult(product, target, result, result?.durationMs ?? Date.now() - startedAt);
+        return result;
+      } catch (error) {
+        recordCheckResult(
+          product,
+          target,
+          { success: false, failureReason: error?.message || String(error) },
+          Date.now() - startedAt
+        );
+        throw error;
+      }
+    };
+
+    if (settings.checkMode === "direct") {
+      logger.info(
+        "Using direct productDetails polling. Full page loads are used until the first request of each region is captured and whenever a direct call fails."
+      );
+    }
+
+    while (!isShuttingDown()) {
+      await waitWhilePaused();
+      await waitUntilActiveWindow(getWatchedRegions());
+
+      if (isShuttingDown()) {
+        break;
+      }
+
+      await scanDueListings(settings);
+
+      if (isShuttingDown()) {
+        break;
+      }
+
+      const passStartMs = Date.now();
+      const passConcurrencyLimit = Math.min(
+        runState.currentConcurrency,
+        runState.targetConcurrency
+      );
+      let endedDueToWindow = false;
+      const runningTasks = new Set();
+      const taskPromises = [];
+
+      for (const product of runState.products) {
+        if (isShuttingDown() || runState.paused) {
+          endedDueToWindow = true;
+          break;
+        }
+
+        const regions = getWatchedRegions();
+        if (!isAnyRegionActive(regions)) {
+          logger.info(
+            `Monitoring windows closed (outside ${describeRegionWindows(regions)}). Pausing until one reopens.`
+          );
+          endedDueToWindow = true;
+          break;
+        }
+
+        while (runningTasks.size >= passConcurrencyLimit && !isShuttingDown()) {
+          await Promise.race(runningTasks);
+        }
+
+        if (isShuttingDown()) {
+          endedDueToWindow = true;
+          break;
+        }
+
+        if (
+          !isProductWatched(product) ||
+          !isProductDue(product) ||
+          isRegionBlocked(product) ||
+          !isRegionInActiveWindow(resolveRegion(product.region))
+        ) {
+          continue;
+        }
+
+        lastCheckedAt.set(product.spuId, Date.now());
+
+        const execution = (async () => {
+          if (isShuttingDown()) {
+            return;
+          }
+
+          await provider.runCheck(product, attempt(product));
+        })().catch((error) => {
+          if (!isShuttingDown()) {
+            createCheckLogger(product, {}).error(`Unexpected error while processing ${product.url}`, {
+              err: error,
+            });
+          }
+        });
+
+        let taskPromise;
+        taskPromise = execution.finally(() => {
+          runningTasks.delete(taskPromise);
+        });
+
+        runningTasks.add(taskPromise);
+        taskPromises.push(taskPromise);
+      }
+
+      await Promise.all(taskPromises);
+
+      if (isShuttingDown()) {
+        break;
+      }
+
+      if (endedDueToWindow) {
+        continue;
+      }
+
+      if (!isAnyRegionActive()) {
+        logger.info(
+          "Monitoring windows closed after completing the product list. Waiting for the next window."
+        );
+        continue;
+      }
+
+      const passDurationMs = Date.now() - passStartMs;
+      runState.passCount += 1;
+      runState.lastPassDurationMs = passDurationMs;
+      logger.info(
+        `Completed one pass through the product list in ${passDurationMs}ms (limit ${passConcurrencyLimit}).`,
+        { pass: runState.passCount }
+      );
+
+      if (runState.currentConcurrency < runState.targetConcurrency) {
+        runState.currentConcurrency += 1;
+        const nextLimit = Math.min(
+          runState.currentConcurrency,
+          runState.targetConcurrency
+        );
+        logger.info(`Increasing allowed concurrency to ${nextLimit}.`);
+      }
+
+      await randomDelay(settings.passDelay.min, settings.passDelay.max);
+    }
+  } finally {
+    stopWatchers.forEach((stop) => stop());
+
+    await closeAllPages();
+    await provider.shutdown();
+    await closeStockState();
+    await closeNotifiers();
+
+    cancelAllDelays();
+    markShutdownComplete();
+  }
+}
@@ -0,0 +1,19 @@
+import { postJson } from "./webhook.js";
+
+const DISCORD_MESSAGE_LIMIT = 2000;
+
+export function createDiscordNotifier() {
+  const url = (process.env.DISCORD_WEBHOOK_URL || "").trim();
+
+  return {
+    name: "discord",
+    isConfigured: () => Boolean(url),
+    send(notification) {
+      const content =
+        notification.text.length > DISCORD_MESSAGE_LIMIT
+          ? `${notification.text.slice(0, DISCORD_MESSAGE_LIMIT - 3)}...`
+          : notification.text;
+      return postJson(url, { content }, "Discord");
+    },
+  };
+}
@@ -0,0 +1,56 @@
+import { logger } from "../logger.js";
+
+function readSmtpConfig() {
+  const port = Number.parseInt(process.env.SMTP_PORT || "", 10);
+  const secureValue = (process.env.SMTP_SECURE || "").trim().toLowerCase();
+
+  return {
+    host: (process.env.SMTP_HOST || "").trim(),
+    port: Number.isNaN(port) ? 587 : port,
+    secure: secureValue ? ["1", "true", "yes"].includes(secureValue) : port === 465,
+    user: (process.env.SMTP_USER || "").trim(),
+    pass: process.env.SMTP_PASS || "",
+    from: (process.env.SMTP_FROM || process.env.SMTP_USER || "").trim(),
+    to: (process.env.SMTP_TO || "").trim(),
+  };
+}
+
+export function createEmailNotifier() {
+  const config = readSmtpConfig();
+  let transporter = null;
+
+  const getTransporter = async () => {
+    if (!transporter) {
+      const { default: nodemailer } = await import("nodemailer");
+      transporter = nodemailer.createTransport({
+        host: config.host,
+        port: config.port,
+        secure: config.secure,
+        auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+      });
+    }
+    return transporter;
+  };
+
+  return {
+    name: "email",
+    isConfigured: () => Boolean(config.host && config.from && config.to),
+    async send(notification) {
+      const [subject, ...body] = notification.text.split("\n");
+
+      try {
+        const mailer = await getTransporter();
+        await mailer.sendMail({
+          from: config.from,
+          to: config.to,
+          subject: `[Pop Mart] ${subject}`,
+          text: body.length > 0 ? notification.text : subject,
+        });
+        return true;
+      } catch (error) {
+        logger.error("Failed to send email notification", { err: error });
+        return false;
+      }
+    },
+  };
+}
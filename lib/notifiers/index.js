@@ -0,0 +1,150 @@
+import { createTelegramNotifier } from "./telegram.js";
+import { createDiscordNotifier } from "./discord.js";
+import { createSlackNotifier } from "./slack.js";
+import { createWebhookNotifier } from "./webhook.js";
+import { createEmailNotifier } from "./email.js";
+import { notificationFailuresTotal, notificationsSentTotal } from "../metrics.js";
+import { logger } from "../logger.js";
+
+export const NOTIFIER_CHANNELS = ["telegram", "discord", "slack", "webhook", "email"];
+
+const NOTIFIER_FACTORIES = {
+  telegram: createTelegramNotifier,
+  discord: createDiscordNotifier,
+  slack: createSlackNotifier,
+  webhook: createWebhookNotifier,
+  email: createEmailNotifier,
+};
+
+let notifiers = null;
+let defaultChannels = null;
+const eventChannels = new Map();
+const unconfiguredWarnings = new Set();
+
+function parseChannelList(rawValue, sourceName) {
+  const channels = [];
+  for (const part of rawValue.split(/[,;\s]+/)) {
+    const channel = part.trim().toLowerCase();
+    if (!channel) {
+      continue;
+    }
+    if (!NOTIFIER_CHANNELS.includes(channel)) {
+      logger.warn(
+        `Ignoring unknown channel "${part}" in ${sourceName}. Expected one of: ${NOTIFIER_CHANNELS.join(", ")}.`
+      );
+      continue;
+    }
+    if (!channels.includes(channel)) {
+      channels.push(channel);
+    }
+  }
+  return channels;
+}
+
+export async function initNotifiers() {
+  if (notifiers) {
+    return;
+  }
+
+  notifiers = new Map();
+  for (const channel of NOTIFIER_CHANNELS) {
+    const notifier = NOTIFIER_FACTORIES[channel]();
+    if (typeof notifier.init === "function") {
+      await notifier.init();
+    }
+    notifiers.set(channel, notifier);
+  }
+
+  const configured = NOTIFIER_CHANNELS.filter((channel) => notifiers.get(channel).isConfigured());
+  const rawDefault = process.env.NOTIFY_CHANNELS;
+  defaultChannels =
+    rawDefault && rawDefault.trim()
+      ? parseChannelList(rawDefault, "NOTIFY_CHANNELS")
+      : configured.length > 0
+        ? configured
+        : ["telegram"];
+
+  for (const [key, value] of Object.entries(process.env)) {
+    const match = /^NOTIFY_CHANNELS_([A-Z_]+)$/.exec(key);
+    if (match && value && value.trim()) {
+      eventChannels.set(match[1].toLowerCase(), parseChannelList(value, key));
+    }
+  }
+
+  logger.info(
+    `Notification channels configured: ${configured.length > 0 ? configured.join(", ") : "none"}. Default route: ${defaultChannels.join(", ")}.`
+  );
+}
+
+// The most specific route wins: the product's own channels, then the route for
+// the notification type (NOTIFY_CHANNELS_<TYPE>), then NOTIFY_CHANNELS.
+export function resolveChannels(notification) {
+  if (Array.isArray(notification.channels) && notification.channels.length > 0) {
+    return notification.channels;
+  }
+
+  const productChannels = notification.product?.channels;
+  if (Array.isArray(productChannels) && productChannels.length > 0) {
+    return productChannels;
+  }
+
+  const typeChannels = eventChannels.get(notification.type);
+  if (typeChannels && typeChannels.length > 0) {
+    return typeChannels;
+  }
+
+  return defaultChannels;
+}
+
+/**
+ * Sends a notification (`{ type, text, product?, data?, channels?, test? }`) to
+ * every channel it routes to. Resolves to the list of channels that accepted it.
+ */
+export async function dispatchNotification(notification) {
+  await initNotifiers();
+
+  const channels = resolveChannels(notification);
+  const results = await Promise.all(
+    channels.map(async (channel) => {
+      const notifier = notifiers.get(channel);
+      if (!notifier || !notifier.isConfigured()) {
+        if (!unconfiguredWarnings.has(channel)) {
+          logger.warn(`Skipping ${channel} notifications: channel is not configured.`);
+          unconfiguredWarnings.add(channel);
+        }
+        return null;
+      }
+
+      const labels = { channel, type: notification.type };
+      try {
+        if (await notifier.send(notification)) {
+          notificationsSentTotal.inc(labels);
+          return channel;
+        }
+      } catch (error) {
+        logger.error(`Failed to send ${channel} notification`, { err: error });
+      }
+      notificationFailuresTotal.inc(labels);
+      return null;
+    })
+  );
+
+  return results.filter(Boolean);
+}
+
+export async function closeNotifiers() {
+  if (!notifiers) {
+    return;
+  }
+
+  for (const [channel, notifier] of notifiers) {
+    if (typeof notifier.close !== "function") {
+      continue;
+    }
+    try {
+      await notifier.close();
+    } catch (error) {
+      logger.warn(`Error while closing ${channel} notifier`, { err: error });
+    }
+  }
+}
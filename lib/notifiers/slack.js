@@ -0,0 +1,13 @@
+import { postJson } from "./webhook.js";
+
+export function createSlackNotifier() {
+  const url = (process.env.SLACK_WEBHOOK_URL || "").trim();
+
+  return {
+    name: "slack",
+    isConfigured: () => Boolean(url),
+    send(notification) {
+      return postJson(url, { text: notification.text }, "Slack");
+    },
+  };
+}
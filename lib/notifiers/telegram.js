@@ -0,0 +1,137 @@
+import {
+  createTelegramAlertRequest,
+  ensureTelegramConfig,
+  sendTelegramAlert,
+  sendTelegramMessage,
+} from "../telegram.js";
+import { createMuteCallbackData } from "../telegram-commands.js";
+import {
+  isTelegramQueueEnabled,
+  openTelegramQueue,
+  resolveQueueDrainMs,
+} from "../telegram-queue.js";
+import { isSubscriptionsEnabled, openSubscriberRegistry } from "../subscribers.js";
+import { logger } from "../logger.js";
+
+const MAX_BUY_BUTTONS = 6;
+
+function isRichAlertsEnabled() {
+  const rawValue = (process.env.TELEGRAM_RICH_ALERTS || "").trim().toLowerCase();
+  return !["0", "false", "off", "no"].includes(rawValue);
+}
+
+function buildAlertButtons(notification) {
+  const { product, data } = notification;
+  const rows = [];
+  const linkRow = [];
+
+  if (Array.isArray(data?.skus)) {
+    data.skus
+      .filter((sku) => sku.buyNowLink)
+      .slice(0, MAX_BUY_BUTTONS)
+      .forEach((sku) => rows.push([{ text: `Mua ${sku.variant}`, url: sku.buyNowLink }]));
+  } else if (data?.buyNowLink) {
+    linkRow.push({ text: "Mua ngay", url: data.buyNowLink });
+  }
+  if (product?.url) {
+    linkRow.push({ text: "Trang san pham", url: product.url });
+  }
+
+  if (linkRow.length > 0) {
+    rows.push(linkRow);
+  }
+  if (product?.spuId) {
+    rows.push([{ text: "Tat thong bao 1h", callback_data: createMuteCallbackData(product.spuId) }]);
+  }
+
+  return rows;
+}
+
+function createRequest(notification, richAlerts) {
+  if (richAlerts && notification.html) {
+    return createTelegramAlertRequest({
+      html: notification.html,
+      photoUrl: notification.data?.imageUrl,
+      buttons: buildAlertButtons(notification),
+    });
+  }
+  return { method: "sendMessage", payload: { text: notification.text }, fallback: null };
+}
+
+export function createTelegramNotifier() {
+  let configured = false;
+  let chatId = "";
+  let queue = null;
+  let registry = null;
+  const richAlerts = isRichAlertsEnabled();
+
+  // The main chat gets every alert; subscribers only the ones they asked for.
+  const resolveRecipients = (notification) => {
+    const recipients = chatId ? [chatId] : [];
+    if (registry) {
+      recipients.push(...registry.findRecipients(notification, { exclude: recipients }));
+    }
+    return recipients;
+  };
+
+  return {
+    name: "telegram",
+    async init() {
+      const config = await ensureTelegramConfig();
+      chatId = config.chatId;
+
+      if (config.token && isSubscriptionsEnabled()) {
+        try {
+          registry = await openSubscriberRegistry();
+        } catch (error) {
+          logger.warn(`Telegram subscriptions are disabled: ${error.message}`);
+        }
+      }
+      configured = Boolean(config.token && (config.chatId || registry));
+
+      if (configured && isTelegramQueueEnabled()) {
+        try {
+          queue = await openTelegramQueue();
+        } catch (error) {
+          logger.warn(`Sending Telegram messages without a delivery queue: ${error.message}`);
+        }
+      }
+    },
+    isConfigured: () => configured,
+    async send(notification) {
+      const recipients = resolveRecipients(notification);
+      if (recipients.length === 0) {
+        return false;
+      }
+
+      if (queue) {
+        const request = createRequest(notification, richAlerts);
+        recipients.forEach((recipient) =>
+          queue.enqueue({ chatId: recipient, type: notification.type, ...request })
+        );
+        return true;
+      }
+
+      let delivered = false;
+      for (const recipient of recipients) {
+        const sent =
+          richAlerts && notification.html
+            ? await sendTelegramAlert({
+                html: notification.html,
+                photoUrl: notification.data?.imageUrl,
+                buttons: buildAlertButtons(notification),
+                chatId: recipient,
+              })
+            : await sendTelegramMessage(notification.text, { chatId: recipient });
+        delivered = delivered || sent;
+      }
+      return delivered;
+    },
+    async close() {
+      if (queue) {
+        await queue.close({ drainMs: resolveQueueDrainMs() });
+        queue = null;
+      }
+    },
+  };
+}
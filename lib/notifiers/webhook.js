@@ -0,0 +1,58 @@
+import { logger } from "../logger.js";
+import { MS_PER_SECOND } from "../schedule.js";
+
+// A webhook that does not answer in time counts as a failed delivery.
+const REQUEST_TIMEOUT_MS = 15 * MS_PER_SECOND;
+
+export async function postJson(url, payload, channelLabel) {
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => "");
+      logger.error(`Failed to send ${channelLabel} notification (HTTP ${response.status})`, {
+        err: errorText,
+      });
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    logger.error(`Failed to send ${channelLabel} notification`, { err: error });
+    return false;
+  }
+}
+
+// Posts the whole notification as JSON so other tools can consume it.
+export function createWebhookNotifier() {
+  const url = (process.env.WEBHOOK_URL || "").trim();
+
+  return {
+    name: "webhook",
+    isConfigured: () => Boolean(url),
+    send(notification) {
+      const { product } = notification;
+      return postJson(
+        url,
+        {
+          type: notification.type,
+          ...(notification.test ? { test: true } : {}),
+          text: notification.text,
+          sentAt: new Date().toISOString(),
+          product: product
+            ? { name: product.name, spuId: product.spuId, url: product.url, tags: product.tags ?? [] }
+            : null,
+          data: notification.data ?? null,
+        },
+        "webhook"
+      );
+    },
+  };
+}
@@ -0,0 +1,247 @@
+import { logger } from "./logger.js";
+import { isValidTimeZone } from "./schedule.js";
+
+export const POPMART_ORIGIN = "https://www.popmart.com";
+export const PRODUCT_DETAILS_PATH = "productDetails?spuId=";
+export const USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 " +
+  "(KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+export const BROWSER_LAUNCH_ARGS = [
+  "--no-sandbox",
+  "--disable-setuid-sandbox",
+  "--disable-blink-features=AutomationControlled",
+];
+
+export const DEFAULT_REGION_CODE = "vn";
+
+// Every Pop Mart storefront the bot knows, keyed by the code used in its URLs
+// (www.popmart.com/<code>/...). Block patterns are phrases seen on real block
+// pages, matched after removing accents and lower-casing; regions without a
+// confirmed one need BLOCK_PATTERNS_<CODE>.
+export const POPMART_REGIONS = {
+  vn: {
+    acceptLanguage: "vi-VN,vi;q=0.9,en-US;q=0.8,en;q=0.7",
+    timeZone: "Asia/Ho_Chi_Minh",
+    currency: "VND",
+    blockPatterns: ["ban dang truy cap qua thuong xuyen", "mot so tinh nang da bi han che"],
+  },
+  sg: { acceptLanguage: "en-SG,en;q=0.9", timeZone: "Asia/Singapore", currency: "SGD", blockPatterns: [] },
+  my: {
+    acceptLanguage: "en-MY,en;q=0.9,ms;q=0.8",
+    timeZone: "Asia/Kuala_Lumpur",
+    currency: "MYR",
+    blockPatterns: [],
+  },
+  th: {
+    acceptLanguage: "th-TH,th;q=0.9,en;q=0.8",
+    timeZone: "Asia/Bangkok",
+    currency: "THB",
+    blockPatterns: [],
+  },
+  ph: { acceptLanguage: "en-PH,en;q=0.9", timeZone: "Asia/Manila", currency: "PHP", blockPatterns: [] },
+  id: {
+    acceptLanguage: "id-ID,id;q=0.9,en;q=0.8",
+    timeZone: "Asia/Jakarta",
+    currency: "IDR",
+    blockPatterns: [],
+  },
+  jp: {
+    acceptLanguage: "ja-JP,ja;q=0.9,en;q=0.8",
+    timeZone: "Asia/Tokyo",
+    currency: "JPY",
+    blockPatterns: [],
+  },
+  kr: {
+    acceptLanguage: "ko-KR,ko;q=0.9,en;q=0.8",
+    timeZone: "Asia/Seoul",
+    currency: "KRW",
+    blockPatterns: [],
+  },
+  hk: {
+    acceptLanguage: "zh-HK,zh;q=0.9,en;q=0.8",
+    timeZone: "Asia/Hong_Kong",
+    currency: "HKD",
+    blockPatterns: [],
+  },
+  tw: {
+    acceptLanguage: "zh-TW,zh;q=0.9,en;q=0.8",
+    timeZone: "Asia/Taipei",
+    currency: "TWD",
+    blockPatterns: [],
+  },
+  au: { acceptLanguage: "en-AU,en;q=0.9", timeZone: "Australia/Sydney", currency: "AUD", blockPatterns: [] },
+  nz: { acceptLanguage: "en-NZ,en;q=0.9", timeZone: "Pacific/Auckland", currency: "NZD", blockPatterns: [] },
+  us: { acceptLanguage: "en-US,en;q=0.9", timeZone: "America/Los_Angeles", currency: "USD", blockPatterns: [] },
+  ca: { acceptLanguage: "en-CA,en;q=0.9,fr-CA;q=0.8", timeZone: "America/Toronto", currency: "CAD", blockPatterns: [] },
+  gb: { acceptLanguage: "en-GB,en;q=0.9", timeZone: "Europe/London", currency: "GBP", blockPatterns: [] },
+  de: { acceptLanguage: "de-DE,de;q=0.9,en;q=0.8", timeZone: "Europe/Berlin", currency: "EUR", blockPatterns: [] },
+  fr: { acceptLanguage: "fr-FR,fr;q=0.9,en;q=0.8", timeZone: "Europe/Paris", currency: "EUR", blockPatterns: [] },
+};
+
+export const REGION_CODES = Object.keys(POPMART_REGIONS);
+
+const invalidTimeZoneWarnings = new Set();
+// Resolved regions are reused until one of their environment overrides changes;
+// number formats never change for a region.
+const resolvedRegions = new Map();
+const regionFormats = new Map();
+
+function normalizeForMatch(value) {
+  if (!value) {
+    return "";
+  }
+
+  return value
+    .toString()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\u0111/g, "d");
+}
+
+function readEnvList(name) {
+  const rawValue = process.env[name];
+  return rawValue && rawValue.trim()
+    ? rawValue.split(/[,;]+/).map((entry) => entry.trim()).filter(Boolean)
+    : [];
+}
+
+export function isRegionCode(value) {
+  return typeof value === "string" && Object.prototype.hasOwnProperty.call(POPMART_REGIONS, value);
+}
+
+function readTimeZoneOverride(name) {
+  const rawValue = (process.env[name] || "").trim();
+  if (!rawValue) {
+    return null;
+  }
+  if (isValidTimeZone(rawValue)) {
+    return rawValue;
+  }
+  if (!invalidTimeZoneWarnings.has(name)) {
+    logger.warn(`Ignoring invalid ${name} "${rawValue}". Expected an IANA time zone like "Asia/Singapore".`);
+    invalidTimeZoneWarnings.add(name);
+  }
+  return null;
+}
+
+// POPMART_REGION picks the region of URLs without a region segment.
+export function getDefaultRegionCode() {
+  const rawValue = (process.env.POPMART_REGION || "").trim().toLowerCase();
+  return isRegionCode(rawValue) ? rawValue : DEFAULT_REGION_CODE;
+}
+
+/**
+ * Reads the region from the first path segment of a Pop Mart URL: a region
+ * code ("/sg/products/...") or a locale ending in the country ("/vi-VN/...").
+ * Returns null when the URL does not name a known region.
+ */
+export function extractRegionCode(url) {
+  let segment;
+  try {
+    segment = new URL(url).pathname.split("/").filter(Boolean)[0] || "";
+  } catch (error) {
+    return null;
+  }
+
+  const match = /^(?:[a-z]{2}-)?([a-z]{2})$/i.exec(segment);
+  const code = match ? match[1].toLowerCase() : null;
+  return isRegionCode(code) ? code : null;
+}
+
+/**
+ * Settings of one region: `{ code, acceptLanguage, locale, timeZone, currency,
+ * decimalSeparator, fractionDigits, blockPatterns, orderConfirmationUrl }`.
+ * TIMEZONE_<CODE>, BLOCK_PATTERNS_<CODE> and ORDER_CONFIRMATION_URL_<CODE>
+ * replace the built-in values; unknown codes fall back to the default region.
+ */
+export function resolveRegion(code) {
+  const regionCode = isRegionCode(code) ? code : getDefaultRegionCode();
+  const envSuffix = regionCode.toUpperCase();
+  const envKey = [`TIMEZONE_${envSuffix}`, `BLOCK_PATTERNS_${envSuffix}`, `ORDER_CONFIRMATION_URL_${envSuffix}`]
+    .map((name) => process.env[name] ?? "")
+    .join("\n");
+
+  const cached = resolvedRegions.get(regionCode);
+  if (cached?.envKey === envKey) {
+    return cached.region;
+  }
+
+  const region = POPMART_REGIONS[regionCode];
+  const orderConfirmationUrl = (process.env[`ORDER_CONFIRMATION_URL_${envSuffix}`] || "").trim();
+  const blockPatterns = readEnvList(`BLOCK_PATTERNS_${envSuffix}`);
+  const { locale, decimalSeparator, fractionDigits } = getRegionFormats(regionCode);
+
+  const resolved = {
+    code: regionCode,
+    acceptLanguage: region.acceptLanguage,
+    locale,
+    timeZone: readTimeZoneOverride(`TIMEZONE_${envSuffix}`) ?? region.timeZone,
+    currency: region.currency,
+    decimalSeparator,
+    fractionDigits,
+    blockPatterns: blockPatterns.length > 0 ? blockPatterns : region.blockPatterns,
+    orderConfirmationUrl: orderConfirmationUrl || `${POPMART_ORIGIN}/${regionCode}/order-confirmation`,
+  };
+  resolvedRegions.set(regionCode, { envKey, region: resolved });
+  return resolved;
+}
+
+function getRegionFormats(regionCode) {
+  let formats = regionFormats.get(regionCode);
+  if (!formats) {
+    const { acceptLanguage, currency } = POPMART_REGIONS[regionCode];
+    const locale = acceptLanguage.split(",")[0];
+    const priceFormat = new Intl.NumberFormat(locale, { style: "currency", currency, currencyDisplay: "code" });
+    formats = {
+      locale,
+      decimalSeparator: new Intl.NumberFormat(locale).formatToParts(1.5).find((part) => part.type === "decimal").value,
+      fractionDigits: priceFormat.resolvedOptions().maximumFractionDigits,
+      priceFormat,
+    };
+    regionFormats.set(regionCode, formats);
+  }
+  return formats;
+}
+
+// e.g. "1.290.000 VND" for vn or "SGD 12.90" for sg; null when the amount is
+// unknown. Codes rather than symbols, since several regions would all show "$".
+export function formatRegionPrice(amount, regionCode) {
+  if (typeof amount !== "number" || !Number.isFinite(amount)) {
+    return null;
+  }
+  return getRegionFormats(resolveRegion(regionCode).code).priceFormat.format(amount);
+}
+
+// The title and visible text of an HTML document; scripts, styles, tags and
+// attributes are left out so product data embedded in the page cannot match.
+export function extractHtmlText(html) {
+  if (!html) {
+    return "";
+  }
+
+  const source = html.toString();
+  const title = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(source)?.[1] ?? "";
+  const body = (/<body[^>]*>([\s\S]*)<\/body>/i.exec(source)?.[1] ?? source)
+    .replace(/<(script|style|noscript|template)\b[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<[^>]*>/g, " ");
+  return `${title}\n${body}`.replace(/&nbsp;/g, " ").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Whether the title or visible text of a page (see extractHtmlText) carries a
+ * block phrase of the given region. Without a region every region's phrases
+ * are checked.
+ */
+export function isPopmartBlockPage(text, regionCode = null) {
+  const normalized = normalizeForMatch(text);
+  if (!normalized) {
+    return false;
+  }
+
+  const patterns = regionCode
+    ? resolveRegion(regionCode).blockPatterns
+    : REGION_CODES.flatMap((code) => resolveRegion(code).blockPatterns);
+
+  return patterns.some((pattern) => normalized.includes(normalizeForMatch(pattern)));
+}
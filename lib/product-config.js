@@ -0,0 +1,539 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import YAML from "yaml";
+import {
+  PRODUCTS_CSV_PATH,
+  readProducts,
+  deriveBuyNowTitle,
+  extractSpuId,
+  parseSkuIdList,
+  parseProductsCsv,
+  resolveProductRegion,
+  upsertProductCsvRow,
+} from "./products.js";
+import { REGION_CODES } from "./popmart.js";
+import { NOTIFIER_CHANNELS } from "./notifiers/index.js";
+import { parseDurationMs } from "./schedule.js";
+import { parsePriceThreshold } from "./stock-events.js";
+import { writeFileAtomic } from "./state-store.js";
+
+const PROJECT_ROOT = fileURLToPath(new URL("../", import.meta.url));
+const CONFIG_CANDIDATES = ["products.yaml", "products.yml", "products.json"];
+
+// Canonical field name for every accepted spelling, compared after removing
+// spaces, dashes and underscores and lower-casing (like the CSV headers).
+const FIELD_ALIASES = {
+  name: ["name", "sp", "title"],
+  url: ["url"],
+  spuId: ["spuid", "spu"],
+  skuSingle: ["skusingle", "skuidsingle", "skusingleid"],
+  skuSet: ["skuset", "skuidset", "skusetid"],
+  limitSingle: ["limitsingle"],
+  limitSet: ["limitset"],
+  skuInclude: ["skuinclude", "skuidinclude", "skuwhitelist"],
+  skuExclude: ["skuexclude", "skuidexclude", "skublacklist"],
+  priority: ["priority"],
+  checkInterval: ["checkinterval", "interval", "checkintervalseconds"],
+  channels: ["channels", "channel"],
+  cooldown: ["cooldown", "alertcooldown"],
+  minDelta: ["mindelta", "minimumdelta", "alertmindelta"],
+  restockOnly: ["restockonly", "onlyrestock"],
+  groupSkus: ["groupskus", "groupalerts"],
+  priceDrop: ["pricedrop", "minpricedrop", "pricedropthreshold"],
+  region: ["region", "country"],
+  tags: ["tags"],
+  enabled: ["enabled"],
+  notes: ["notes", "note"],
+};
+
+const FIELD_BY_ALIAS = new Map(
+  Object.entries(FIELD_ALIASES).flatMap(([field, aliases]) =>
+    aliases.map((alias) => [alias, field])
+  )
+);
+
+function normalizeFieldName(value) {
+  return value.replace(/[\s_-]/g, "").toLowerCase();
+}
+
+export function resolveProductSourcePath() {
+  const override = process.env.PRODUCTS_FILE ? process.env.PRODUCTS_FILE.trim() : "";
+  if (override) {
+    return path.resolve(PROJECT_ROOT, override);
+  }
+
+  return null;
+}
+
+async function findDefaultSourcePath() {
+  for (const candidate of CONFIG_CANDIDATES) {
+    const candidatePath = path.join(PROJECT_ROOT, candidate);
+    try {
+      await fs.access(candidatePath);
+      return candidatePath;
+    } catch (error) {
+      // Try the next candidate.
+    }
+  }
+
+  return fileURLToPath(PRODUCTS_CSV_PATH);
+}
+
+function isIdValue(value) {
+  return (
+    (typeof value === "string" && /^\d+$/.test(value.trim())) ||
+    (Number.isInteger(value) && value > 0)
+  );
+}
+
+function createFieldReader(raw, location, problems) {
+  const values = {};
+
+  for (const [key, value] of Object.entries(raw)) {
+    const field = FIELD_BY_ALIAS.get(normalizeFieldName(key));
+    if (!field) {
+      problems.push(`${location}: unknown field "${key}".`);
+      continue;
+    }
+    if (value === null || value === undefined || value === "") {
+      continue;
+    }
+    values[field] = value;
+  }
+
+  const fail = (field, message) => {
+    problems.push(`${location}, field "${field}": ${message}`);
+    return undefined;
+  };
+
+  return { values, fail };
+}
+
+function readString(reader, field, { required = false } = {}) {
+  const value = reader.values[field];
+  if (value === undefined) {
+    return required ? reader.fail(field, "is required.") : null;
+  }
+  if (typeof value !== "string" || !value.trim()) {
+    return reader.fail(field, "must be a non-empty string.");
+  }
+  return value.trim();
+}
+
+function readId(reader, field) {
+  const value = reader.values[field];
+  if (value === undefined) {
+    return null;
+  }
+  if (!isIdValue(value)) {
+    return reader.fail(field, `must be a numeric id, got ${JSON.stringify(value)}.`);
+  }
+  return String(value).trim();
+}
+
+function readPositiveInteger(reader, field) {
+  const value = reader.values[field];
+  if (value === undefined) {
+    return null;
+  }
+  const parsed = typeof value === "string" ? Number(value.trim()) : value;
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    return reader.fail(field, `must be a positive integer, got ${JSON.stringify(value)}.`);
+  }
+  return parsed;
+}
+
+function readIdList(reader, field) {
+  const value = reader.values[field];
+  if (value === undefined) {
+    return null;
+  }
+  if (typeof value === "string") {
+    return parseSkuIdList(value);
+  }
+  if (!Array.isArray(value)) {
+    return reader.fail(field, "must be a list of SKU ids.");
+  }
+  const invalid = value.filter((entry) => !isIdValue(entry));
+  if (invalid.length > 0) {
+    return reader.fail(field, `contains invalid SKU ids: ${invalid.map((entry) => JSON.stringify(entry)).join(", ")}.`);
+  }
+  return value.length > 0 ? new Set(value.map((entry) => String(entry).trim())) : null;
+}
+
+function readBoolean(reader, field) {
+  const value = reader.values[field];
+  if (value === undefined) {
+    return null;
+  }
+  if (typeof value !== "boolean") {
+    return reader.fail(field, "must be true or false.");
+  }
+  return value;
+}
+
+function readStringList(reader, field) {
+  const value = reader.values[field];
+  if (value === undefined) {
+    return [];
+  }
+  const list = typeof value === "string" ? value.split(/[,;]+/) : value;
+  if (!Array.isArray(list) || list.some((entry) => typeof entry !== "string")) {
+    return reader.fail(field, "must be a string or a list of strings.");
+  }
+  return list.map((entry) => entry.trim()).filter(Boolean);
+}
+
+function readInterval(reader, field) {
+  const value = reader.values[field];
+  if (value === undefined) {
+    return null;
+  }
+  const durationMs = parseDurationMs(value);
+  if (durationMs === null) {
+    return reader.fail(field, `must be seconds or a duration like "30s", "5m", "1h", got ${JSON.stringify(value)}.`);
+  }
+  return durationMs;
+}
+
+function readPriceThreshold(reader, field) {
+  const value = reader.values[field];
+  if (value === undefined) {
+    return null;
+  }
+  const threshold = parsePriceThreshold(value);
+  if (!threshold) {
+    return reader.fail(field, `must be an amount or a percentage like "10%", got ${JSON.stringify(value)}.`);
+  }
+  return threshold;
+}
+
+function validateProductEntry(raw, location, problems) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    problems.push(`${location}: must be an object.`);
+    return null;
+  }
+
+  const problemCount = problems.length;
+  const reader = createFieldReader(raw, location, problems);
+
+  const name = readString(reader, "name", { required: true });
+  const url = readString(reader, "url", { required: true });
+
+  let urlValid = false;
+  if (url) {
+    try {
+      const parsedUrl = new URL(url);
+      urlValid = /^https?:$/.test(parsedUrl.protocol);
+      if (!urlValid) {
+        reader.fail("url", "must use http or https.");
+      }
+    } catch (error) {
+      reader.fail("url", `is not a valid URL: ${url}`);
+    }
+  }
+
+  const spuId = readId(reader, "spuId") || (urlValid ? extractSpuId(url) : null);
+  if (!spuId && urlValid) {
+    reader.fail("spuId", "is required when the URL does not contain the numeric product ID.");
+  }
+
+  const enabled = reader.values.enabled ?? true;
+  if (typeof enabled !== "boolean") {
+    reader.fail("enabled", "must be true or false.");
+  }
+
+  const priority = reader.values.priority ?? 0;
+  if (!Number.isInteger(priority)) {
+    reader.fail("priority", `must be an integer, got ${JSON.stringify(priority)}.`);
+  }
+
+  const regionValue = readString(reader, "region");
+  const region = urlValid ? resolveProductRegion(url, regionValue) : null;
+  if (urlValid && regionValue && !region) {
+    reader.fail("region", `unknown region "${regionValue}". Expected one of: ${REGION_CODES.join(", ")}.`);
+  }
+
+  const channels = readStringList(reader, "channels");
+  for (const channel of channels ?? []) {
+    if (!NOTIFIER_CHANNELS.includes(channel)) {
+      reader.fail("channels", `unknown channel "${channel}". Expected one of: ${NOTIFIER_CHANNELS.join(", ")}.`);
+    }
+  }
+
+  const product = {
+    name,
+    url,
+    spuId,
+    region,
+    skuSingleId: readId(reader, "skuSingle"),
+    skuSetId: readId(reader, "skuSet"),
+    limitSingle: readPositiveInteger(reader, "limitSingle"),
+    limitSet: readPositiveInteger(reader, "limitSet"),
+    skuInclude: readIdList(reader, "skuInclude"),
+    skuExclude: readIdList(reader, "skuExclude"),
+    priority,
+    checkIntervalMs: readInterval(reader, "checkInterval"),
+    channels: channels && channels.length > 0 ? channels : null,
+    cooldownMs: readInterval(reader, "cooldown"),
+    minDelta: readPositiveInteger(reader, "minDelta"),
+    restockOnly: readBoolean(reader, "restockOnly"),
+    groupSkus: readBoolean(reader, "groupSkus"),
+    priceDrop: readPriceThreshold(reader, "priceDrop"),
+    tags: readStringList(reader, "tags"),
+    enabled,
+    notes: readString(reader, "notes"),
+  };
+
+  if (problems.length > problemCount) {
+    return null;
+  }
+
+  return { ...product, buyNowTitle: deriveBuyNowTitle(url, name) };
+}
+
+function withProductDefaults(product) {
+  return {
+    priority: 0,
+    checkIntervalMs: null,
+    channels: null,
+    cooldownMs: null,
+    minDelta: null,
+    restockOnly: null,
+    groupSkus: null,
+    priceDrop: null,
+    tags: [],
+    enabled: true,
+    notes: null,
+    ...product,
+  };
+}
+
+export function validateProductConfig(document, sourceLabel) {
+  const entries = Array.isArray(document) ? document : document?.products;
+
+  if (!Array.isArray(entries)) {
+    const error = new Error(
+      `${sourceLabel} must contain a list of products (either a top-level list or a "products" key).`
+    );
+    error.code = "INVALID_PRODUCT_CONFIG";
+    error.details = [error.message];
+    throw error;
+  }
+
+  const problems = [];
+  const products = [];
+  const seenSpuIds = new Map();
+
+  entries.forEach((raw, index) => {
+    const label = raw && typeof raw === "object" && typeof raw.name === "string" ? ` ("${raw.name}")` : "";
+    const location = `product #${index + 1}${label}`;
+    const product = validateProductEntry(raw, location, problems);
+    if (!product) {
+      return;
+    }
+
+    if (seenSpuIds.has(product.spuId)) {
+      problems.push(
+        `${location}, field "spuId": duplicates product #${seenSpuIds.get(product.spuId)} (spuId ${product.spuId}).`
+      );
+      return;
+    }
+
+    seenSpuIds.set(product.spuId, index + 1);
+    products.push(product);
+  });
+
+  if (problems.length > 0) {
+    const error = new Error(
+      `${sourceLabel} has ${problems.length} problem${problems.length === 1 ? "" : "s"}:\n  - ${problems.join("\n  - ")}`
+    );
+    error.code = "INVALID_PRODUCT_CONFIG";
+    error.details = problems;
+    throw error;
+  }
+
+  if (products.length === 0) {
+    throw new Error(`${sourceLabel} must contain at least one product.`);
+  }
+
+  return products;
+}
+
+async function readStructuredProducts(sourcePath) {
+  const sourceLabel = path.basename(sourcePath);
+  let raw;
+  try {
+    raw = await fs.readFile(sourcePath, "utf8");
+  } catch (error) {
+    throw new Error(`Unable to read ${sourceLabel}: ${error.message}`);
+  }
+
+  let document;
+  try {
+    document = sourcePath.endsWith(".json") ? JSON.parse(raw) : YAML.parse(raw);
+  } catch (error) {
+    throw new Error(`Unable to parse ${sourceLabel}: ${error.message}`);
+  }
+
+  return validateProductConfig(document, sourceLabel);
+}
+
+/**
+ * Loads the watched products from products.yaml, products.yml or
+ * products.json when present (or PRODUCTS_FILE), falling back to the legacy
+ * Products.csv. Resolves to `{ products, source }`; disabled products are
+ * included and filtered by the caller.
+ */
+export async function loadProducts() {
+  const sourcePath = resolveProductSourcePath() || (await findDefaultSourcePath());
+  const source = path.basename(sourcePath);
+
+  if (sourcePath.toLowerCase().endsWith(".csv")) {
+    const products = await readProducts(sourcePath);
+    return { products: products.map(withProductDefaults), source, sourcePath };
+  }
+
+  const products = await readStructuredProducts(sourcePath);
+  return { products, source, sourcePath };
+}
+
+function findFieldKey(raw, field) {
+  return Object.keys(raw).find((key) => FIELD_BY_ALIAS.get(normalizeFieldName(key)) === field) ?? null;
+}
+
+function readEntrySpuId(raw) {
+  if (!raw || typeof raw !== "object") {
+    return null;
+  }
+  const spuKey = findFieldKey(raw, "spuId");
+  const urlKey = findFieldKey(raw, "url");
+  if (spuKey && isIdValue(raw[spuKey])) {
+    return String(raw[spuKey]).trim();
+  }
+  return urlKey && typeof raw[urlKey] === "string" ? extractSpuId(raw[urlKey]) : null;
+}
+
+// Ids are written as numbers, like the hand-written entries in products.example.yaml.
+function toIdValue(id) {
+  const number = Number(id);
+  return Number.isSafeInteger(number) ? number : id;
+}
+
+// `items` are the product entries of a structured file; `access` reads an
+// entry as a plain object, sets one of its keys and appends a new entry.
+function upsertStructuredEntry(items, entry, access) {
+  const index = items.findIndex((item) => readEntrySpuId(access.read(item)) === entry.spuId);
+  const ids = [
+    ["spuId", entry.spuId],
+    ["skuSingle", entry.skuSingleId],
+    ["skuSet", entry.skuSetId],
+  ].filter(([, id]) => id);
+
+  if (index === -1) {
+    access.append({
+      name: entry.name,
+      url: entry.url,
+      ...Object.fromEntries(ids.map(([field, id]) => [field, toIdValue(id)])),
+      ...(entry.region ? { region: entry.region } : {}),
+    });
+    return "added";
+  }
+
+  const current = access.read(items[index]);
+  let action = "unchanged";
+  for (const [field, id] of ids) {
+    const key = findFieldKey(current, field) ?? field;
+    if (String(current[key] ?? "").trim() !== id) {
+      access.set(items[index], key, toIdValue(id));
+      action = "updated";
+    }
+  }
+  return action;
+}
+
+function createListError(sourceLabel) {
+  return new Error(
+    `${sourceLabel} must contain a list of products (either a top-level list or a "products" key).`
+  );
+}
+
+function upsertYamlProduct(raw, entry, sourceLabel) {
+  const doc = YAML.parseDocument(raw.trim() ? raw : "products: []\n");
+  if (doc.errors.length > 0) {
+    throw new Error(`Unable to parse ${sourceLabel}: ${doc.errors[0].message}`);
+  }
+
+  const list = YAML.isSeq(doc.contents) ? doc.contents : doc.get("products");
+  if (!YAML.isSeq(list)) {
+    throw createListError(sourceLabel);
+  }
+
+  const action = upsertStructuredEntry(list.items, entry, {
+    read: (item) => (YAML.isMap(item) ? item.toJSON() : null),
+    set: (item, key, value) => item.set(key, value),
+    append: (value) => list.add(doc.createNode(value)),
+  });
+  return { content: doc.toString({ flowCollectionPadding: false }), document: doc.toJS(), action };
+}
+
+function upsertJsonProduct(raw, entry, sourceLabel) {
+  let document;
+  try {
+    document = raw.trim() ? JSON.parse(raw) : { products: [] };
+  } catch (error) {
+    throw new Error(`Unable to parse ${sourceLabel}: ${error.message}`);
+  }
+
+  const list = Array.isArray(document) ? document : document?.products;
+  if (!Array.isArray(list)) {
+    throw createListError(sourceLabel);
+  }
+
+  const action = upsertStructuredEntry(list, entry, {
+    read: (item) => (item && typeof item === "object" ? item : null),
+    set: (item, key, value) => {
+      item[key] = value;
+    },
+    append: (value) => list.push(value),
+  });
+  return { content: `${JSON.stringify(document, null, 2)}\n`, document, action };
+}
+
+/**
+ * Adds a product (`{ name, url, spuId, skuSingleId, skuSetId, region? }`) to
+ * the product file in use, or updates the ids of the product with the same spuId.
+ * Other rows, fields and (in YAML) comments are kept. Resolves to
+ * `{ source, action }` with action "added", "updated" or "unchanged".
+ */
+export async function saveProductEntry(entry) {
+  const sourcePath = resolveProductSourcePath() || (await findDefaultSourcePath());
+  const source = path.basename(sourcePath);
+
+  let raw = "";
+  try {
+    raw = await fs.readFile(sourcePath, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(`Unable to read ${source}: ${error.message}`);
+    }
+  }
+
+  let result;
+  // Refuses to write a file the monitor would then reject.
+  if (sourcePath.toLowerCase().endsWith(".csv")) {
+    result = upsertProductCsvRow(raw, entry);
+    parseProductsCsv(result.content);
+  } else {
+    result = sourcePath.endsWith(".json")
+      ? upsertJsonProduct(raw, entry, source)
+      : upsertYamlProduct(raw, entry, source);
+    validateProductConfig(result.document, source);
+  }
+
+  if (result.action !== "unchanged") {
+    await writeFileAtomic(sourcePath, result.content);
+  }
+  return { source, action: result.action };
+}
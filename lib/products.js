@@ -0,0 +1,634 @@
+import fs from "fs/promises";
+import {
+  REGION_CODES,
+  extractRegionCode,
+  getDefaultRegionCode,
+  isRegionCode,
+  resolveRegion,
+} from "./popmart.js";
+import { logger } from "./logger.js";
+
+export const PRODUCTS_CSV_PATH = new URL("../Products.csv", import.meta.url);
+const DEFAULT_SINGLE_BUY_COUNT = 12;
+const DEFAULT_SET_BUY_COUNT = 2;
+
+const DEFAULT_CSV_HEADER = "sp,url,spuid,sku_single,skuid_set,limit_single,limit_set";
+
+// Accepted header spellings of every Products.csv column.
+const CSV_COLUMNS = {
+  name: ["sp"],
+  url: ["url"],
+  spuId: ["spuid", "spu_id"],
+  skuSingleId: ["sku_single", "skuid_single", "sku_single_id"],
+  skuSetId: ["skuid_set", "sku_set", "sku_set_id"],
+  limitSingle: ["limit_single"],
+  limitSet: ["limit_set"],
+  skuInclude: ["sku_include", "skuid_include", "sku_whitelist"],
+  skuExclude: ["sku_exclude", "skuid_exclude", "sku_blacklist"],
+  region: ["region", "country"],
+};
+
+const buyNowWarningKeys = new Set();
+
+function slugify(value) {
+  return value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .trim();
+}
+
+export function deriveBuyNowTitle(productUrl, productName) {
+  try {
+    const url = new URL(productUrl);
+    const segments = url.pathname.split("/").filter(Boolean);
+    if (segments.length > 0) {
+      const lastSegment = segments[segments.length - 1];
+      if (lastSegment) {
+        return slugify(lastSegment);
+      }
+    }
+  } catch (error) {
+    // ignore malformed URLs
+  }
+  return slugify(productName);
+}
+
+// Product name taken from the URL slug, for products added by URL alone.
+export function deriveProductName(productUrl) {
+  try {
+    const segments = new URL(productUrl).pathname.split("/").filter(Boolean);
+    return decodeURIComponent(segments[segments.length - 1] || "").replace(/-/g, " ");
+  } catch (error) {
+    return "";
+  }
+}
+
+function normalizeHeaderName(value) {
+  return value.replace(/[\s_-]/g, "").toLowerCase();
+}
+
+function findHeaderIndex(headers, ...candidates) {
+  const normalizedCandidates = candidates.map(normalizeHeaderName);
+  return headers.findIndex((header) =>
+    normalizedCandidates.includes(normalizeHeaderName(header))
+  );
+}
+
+export function extractSkuIdFromData(skuData) {
+  if (!skuData || typeof skuData !== "object") {
+    return "";
+  }
+
+  const raw =
+    skuData.skuId ??
+    skuData.id ??
+    skuData.sku_id ??
+    skuData.skuid ??
+    skuData.skuID ??
+    skuData.sku;
+
+  if (typeof raw === "number") {
+    return String(raw);
+  }
+
+  if (typeof raw === "string") {
+    return raw.trim();
+  }
+
+  return "";
+}
+
+export function extractSkuTitle(skuData) {
+  if (!skuData || typeof skuData !== "object") {
+    return "";
+  }
+
+  const raw = skuData.title ?? skuData.skuTitle ?? skuData.name ?? skuData.skuName;
+  return typeof raw === "string" ? raw.trim() : "";
+}
+
+/**
+ * Reads a price string such as "1.290.000", "1,290,000 d" or "S$12.90". A
+ * separator that repeats, or comes before the other kind, groups thousands; a
+ * single one is decimal only when it is the region's decimal separator and the
+ * region's currency has minor units.
+ */
+export function parsePriceAmount(value, regionCode = null) {
+  const cleaned = String(value).replace(/[^\d.,]/g, "");
+  if (!/\d/.test(cleaned)) {
+    return null;
+  }
+
+  const lastDot = cleaned.lastIndexOf(".");
+  const lastComma = cleaned.lastIndexOf(",");
+  let decimalIndex = -1;
+  if (lastDot !== -1 && lastComma !== -1) {
+    decimalIndex = Math.max(lastDot, lastComma);
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? "." : ",";
+    const { decimalSeparator, fractionDigits } = resolveRegion(regionCode);
+    if (cleaned.indexOf(separator) === cleaned.lastIndexOf(separator) && separator === decimalSeparator && fractionDigits > 0) {
+      decimalIndex = cleaned.lastIndexOf(separator);
+    }
+  }
+
+  const digits =
+    decimalIndex === -1
+      ? cleaned.replace(/[.,]/g, "")
+      : `${cleaned.slice(0, decimalIndex).replace(/[.,]/g, "")}.${cleaned.slice(decimalIndex + 1).replace(/[.,]/g, "")}`;
+  const parsed = Number.parseFloat(digits);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function toPriceNumber(value, regionCode) {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return value;
+  }
+
+  if (typeof value === "string" && value.trim()) {
+    return parsePriceAmount(value, regionCode);
+  }
+
+  return null;
+}
+
+// The regular price only; sale and discount fields are read by extractSkuPricing.
+export function extractSkuPrice(skuData, regionCode = null) {
+  if (!skuData || typeof skuData !== "object") {
+    return null;
+  }
+
+  return toPriceNumber(skuData.price, regionCode) ?? toPriceNumber(skuData.originalPrice, regionCode) ?? null;
+}
+
+const DISCOUNT_PRICE_FIELDS = ["discountPrice", "promotionPrice", "activityPrice", "salePrice"];
+const PROMOTION_LABEL_FIELDS = ["promotionLabels", "promotionTags", "promotions", "activityTags", "labels"];
+
+function toPromotionLabel(value) {
+  const raw =
+    value && typeof value === "object"
+      ? value.name ?? value.title ?? value.label ?? value.text ?? value.tagName
+      : value;
+  return typeof raw === "string" ? raw.trim() : "";
+}
+
+/**
+ * Reads the SKU's list price, its discounted price (only when lower than the
+ * list price, otherwise null) and its promotion labels. Price strings are read
+ * with the separators of `regionCode`.
+ */
+export function extractSkuPricing(skuData, regionCode = null) {
+  const price = extractSkuPrice(skuData, regionCode);
+  const promotions = [];
+  if (!skuData || typeof skuData !== "object") {
+    return { price, discountPrice: null, promotions };
+  }
+
+  const discountPrice =
+    DISCOUNT_PRICE_FIELDS.map((field) => toPriceNumber(skuData[field], regionCode)).find(
+      (value) => value !== null && price !== null && value < price
+    ) ?? null;
+
+  for (const field of PROMOTION_LABEL_FIELDS) {
+    const values = Array.isArray(skuData[field]) ? skuData[field] : [skuData[field]];
+    for (const label of values.map(toPromotionLabel)) {
+      if (label && !promotions.includes(label)) {
+        promotions.push(label);
+      }
+    }
+  }
+
+  return { price, discountPrice, promotions };
+}
+
+function toImageUrl(value) {
+  if (Array.isArray(value)) {
+    return toImageUrl(value[0]);
+  }
+
+  const raw = value && typeof value === "object" ? value.url ?? value.src : value;
+  if (typeof raw !== "string" || !raw.trim()) {
+    return null;
+  }
+
+  const url = raw.trim();
+  if (url.startsWith("//")) {
+    return `https:${url}`;
+  }
+  return /^https?:\/\//i.test(url) ? url : null;
+}
+
+// Prefers the SKU's own picture and falls back to the product's main image.
+export function extractProductImage(detailsData, skuData) {
+  const candidates = [
+    skuData?.mainImage,
+    skuData?.image,
+    skuData?.imageUrl,
+    skuData?.images,
+    detailsData?.mainImage,
+    detailsData?.image,
+    detailsData?.images,
+    detailsData?.bannerImages,
+  ];
+
+  for (const candidate of candidates) {
+    const url = toImageUrl(candidate);
+    if (url) {
+      return url;
+    }
+  }
+
+  return null;
+}
+
+export function isSkuMonitored(product, skuData) {
+  const skuId = extractSkuIdFromData(skuData);
+
+  if (product.skuInclude && product.skuInclude.size > 0) {
+    return Boolean(skuId) && product.skuInclude.has(skuId);
+  }
+
+  if (skuId && product.skuExclude && product.skuExclude.has(skuId)) {
+    return false;
+  }
+
+  return true;
+}
+
+// The SKU's own id from productDetails wins; the configured id only fills in
+// when the payload has none.
+function resolveSkuId(product, skuData) {
+  const derivedSkuId = extractSkuIdFromData(skuData);
+  if (derivedSkuId) {
+    return derivedSkuId;
+  }
+
+  const variantKind = resolveVariantKind(product, skuData);
+  if (variantKind === "single" && product.skuSingleId) {
+    return product.skuSingleId;
+  }
+  if (variantKind === "set" && product.skuSetId) {
+    return product.skuSetId;
+  }
+  return "";
+}
+
+function normalizeTitle(value) {
+  return value
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\u0111/g, "d")
+    .toLowerCase();
+}
+
+// Checked in order against the SKU title with accents removed, so
+// "Whole Set (12 boxes)" is a set before "box" can make it a single.
+const VARIANT_TITLE_PATTERNS = [
+  ["set", /\b(whole|full|complete|entire)\s+(set|box|case)\b/],
+  ["set", /\bset\s+of\s+\d+\b/],
+  ["set", /\b(nguyen|ca|tron)\s+(set|bo|hop)\b/],
+  ["set", /\b([2-9]|\d{2,})\s*(pcs|boxes|hop)\b/],
+  ["single", /\bsingle\b/],
+  ["single", /\b(hop|box)\s+(le|don|ngau\s+nhien)\b/],
+  ["single", /\b(random|blind)\s+box\b/],
+  ["single", /\b1\s*(pc|pcs|box|hop)\b/],
+];
+
+/**
+ * Reads whether a SKU is a single blind box or a whole set from its title in
+ * the productDetails payload. Returns "single", "set" or null when the title
+ * does not say.
+ */
+export function inferVariantKind(skuData) {
+  const title = normalizeTitle(extractSkuTitle(skuData));
+  if (!title) {
+    return null;
+  }
+
+  const match = VARIANT_TITLE_PATTERNS.find(([, pattern]) => pattern.test(title));
+  return match ? match[0] : null;
+}
+
+// Configured SKU ids win; any other SKU is classified from its own title and
+// counts as "other" when the title does not say.
+export function resolveVariantKind(product, skuData) {
+  const skuId = extractSkuIdFromData(skuData);
+
+  if (skuId) {
+    if (product.skuSingleId && skuId === product.skuSingleId) {
+      return "single";
+    }
+
+    if (product.skuSetId && skuId === product.skuSetId) {
+      return "set";
+    }
+  }
+
+  return inferVariantKind(skuData) ?? "other";
+}
+
+function resolveBuyCount(product, skuData) {
+  const variantKind = resolveVariantKind(product, skuData);
+  if (variantKind === "single") {
+    return product.limitSingle ?? DEFAULT_SINGLE_BUY_COUNT;
+  }
+  if (variantKind === "set") {
+    return product.limitSet ?? DEFAULT_SET_BUY_COUNT;
+  }
+  return 1;
+}
+
+export function createBuyNowLink(product, skuIndex, skuData) {
+  const skuId = resolveSkuId(product, skuData);
+  const warningKey = `${product.url}#${skuIndex}`;
+
+  if (!product.spuId) {
+    if (!buyNowWarningKeys.has(product.url)) {
+      logger.warn(
+        `Unable to build buy-now link for ${product.name} - missing spuId.`
+      );
+      buyNowWarningKeys.add(product.url);
+    }
+    return null;
+  }
+
+  if (!skuId) {
+    if (!buyNowWarningKeys.has(warningKey)) {
+      logger.warn(
+        `Unable to build buy-now link for ${product.name} SKU${skuIndex + 1} - missing skuId.`
+      );
+      buyNowWarningKeys.add(warningKey);
+    }
+    return null;
+  }
+
+  const count = resolveBuyCount(product, skuData);
+
+  const params = new URLSearchParams({
+    spuId: String(product.spuId),
+    skuId: String(skuId),
+    count: String(count),
+    spuTitle: product.buyNowTitle,
+  });
+
+  return `${resolveRegion(product.region).orderConfirmationUrl}?${params.toString()}`;
+}
+
+export function splitCsvRow(row) {
+  const values = [];
+  let current = "";
+  let insideQuotes = false;
+
+  for (let i = 0; i < row.length; i += 1) {
+    const char = row[i];
+
+    if (char === "\"") {
+      if (insideQuotes && row[i + 1] === "\"") {
+        current += "\"";
+        i += 1;
+      } else {
+        insideQuotes = !insideQuotes;
+      }
+      continue;
+    }
+
+    if (char === "," && !insideQuotes) {
+      values.push(current);
+      current = "";
+      continue;
+    }
+
+    current += char;
+  }
+
+  values.push(current);
+  return values;
+}
+
+function normalizeCsvValue(value) {
+  const trimmed = value.replace(/\r/g, "").trim();
+  if (trimmed.startsWith("\"") && trimmed.endsWith("\"")) {
+    return trimmed.slice(1, -1).replace(/""/g, "\"").trim();
+  }
+  return trimmed;
+}
+
+// An explicit region wins over the one in the URL; URLs without a region
+// segment use POPMART_REGION (default vn). Returns null for unknown codes.
+export function resolveProductRegion(url, region = null) {
+  if (region) {
+    const code = region.trim().toLowerCase();
+    return isRegionCode(code) ? code : null;
+  }
+  return extractRegionCode(url) ?? getDefaultRegionCode();
+}
+
+function parseLimitValue(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  const parsed = Number.parseInt(trimmed, 10);
+  if (Number.isNaN(parsed) || parsed <= 0) {
+    return null;
+  }
+
+  return parsed;
+}
+
+export function parseSkuIdList(value) {
+  if (typeof value !== "string" || !value.trim()) {
+    return null;
+  }
+
+  const ids = value
+    .split(/[;|\s]+/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  return ids.length > 0 ? new Set(ids) : null;
+}
+
+export function extractSpuId(url) {
+  const match = url.match(/products\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+function formatCsvValue(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes a product (`{ name, url, spuId, skuSingleId, skuSetId }`) into the
+ * Products.csv text: the row with the same spuId gets the new ids, otherwise a
+ * row is appended. Returns `{ content, action }`, where action is "added",
+ * "updated" or "unchanged".
+ */
+export function upsertProductCsvRow(rawCsv, entry) {
+  const newline = rawCsv.includes("\r\n") ? "\r\n" : "\n";
+  const lines = (rawCsv.trim() ? rawCsv : DEFAULT_CSV_HEADER).split(/\r?\n/);
+  while (lines.length > 1 && !lines[lines.length - 1].trim()) {
+    lines.pop();
+  }
+
+  const headers = splitCsvRow(lines[0]).map(normalizeCsvValue);
+  const columns = Object.fromEntries(
+    Object.entries(CSV_COLUMNS).map(([field, aliases]) => [field, findHeaderIndex(headers, ...aliases)])
+  );
+  if (columns.name === -1 || columns.url === -1) {
+    throw new Error('Products.csv header must contain "sp" and "url" columns.');
+  }
+
+  const idFields = ["spuId", "skuSingleId", "skuSetId"];
+  const rowIndex = lines.findIndex((line, index) => {
+    if (index === 0 || !line.trim()) {
+      return false;
+    }
+    const cells = splitCsvRow(line).map(normalizeCsvValue);
+    const spuId = (columns.spuId === -1 ? "" : cells[columns.spuId]) || extractSpuId(cells[columns.url] || "");
+    return spuId === entry.spuId;
+  });
+
+  let action = "added";
+  if (rowIndex === -1) {
+    // Only needed when the URL does not name the region; older rows keep
+    // resolving theirs from the URL.
+    if (entry.region && columns.region === -1) {
+      lines[0] = `${lines[0]},region`;
+      columns.region = headers.length;
+      headers.push("region");
+    }
+    const cells = headers.map(() => "");
+    ["name", "url", ...idFields, "region"].forEach((field) => {
+      if (columns[field] !== -1) {
+        cells[columns[field]] = entry[field] ?? "";
+      }
+    });
+    lines.push(cells.map(formatCsvValue).join(","));
+  } else {
+    const cells = splitCsvRow(lines[rowIndex]);
+    while (cells.length < headers.length) {
+      cells.push("");
+    }
+    const changedFields = idFields.filter(
+      (field) => columns[field] !== -1 && entry[field] && normalizeCsvValue(cells[columns[field]]) !== entry[field]
+    );
+    if (changedFields.length === 0) {
+      return { content: rawCsv, action: "unchanged" };
+    }
+    changedFields.forEach((field) => {
+      cells[columns[field]] = entry[field];
+    });
+    lines[rowIndex] = cells.map(formatCsvValue).join(",");
+    action = "updated";
+  }
+
+  return { content: `${lines.join(newline)}${newline}`, action };
+}
+
+export async function readProducts(csvPath = PRODUCTS_CSV_PATH) {
+  let rawCsv;
+  try {
+    rawCsv = await fs.readFile(csvPath, "utf8");
+  } catch (error) {
+    throw new Error(`Unable to read Products.csv: ${error.message}`);
+  }
+
+  return parseProductsCsv(rawCsv);
+}
+
+export function parseProductsCsv(rawCsv) {
+  const rows = rawCsv
+    .split(/\r?\n/)
+    .filter((line) => line.trim().length > 0);
+
+  if (rows.length < 2) {
+    throw new Error("Products.csv must contain at least one product row.");
+  }
+
+  const headers = splitCsvRow(rows[0]).map(normalizeCsvValue);
+  const spIndex = findHeaderIndex(headers, ...CSV_COLUMNS.name);
+  const urlIndex = findHeaderIndex(headers, ...CSV_COLUMNS.url);
+  const spuIndex = findHeaderIndex(headers, ...CSV_COLUMNS.spuId);
+  const skuSingleIndex = findHeaderIndex(headers, ...CSV_COLUMNS.skuSingleId);
+  const skuSetIndex = findHeaderIndex(headers, ...CSV_COLUMNS.skuSetId);
+  const limitSingleIndex = findHeaderIndex(headers, ...CSV_COLUMNS.limitSingle);
+  const limitSetIndex = findHeaderIndex(headers, ...CSV_COLUMNS.limitSet);
+  const skuIncludeIndex = findHeaderIndex(headers, ...CSV_COLUMNS.skuInclude);
+  const skuExcludeIndex = findHeaderIndex(headers, ...CSV_COLUMNS.skuExclude);
+  const regionIndex = findHeaderIndex(headers, ...CSV_COLUMNS.region);
+
+  if (spIndex === -1 || urlIndex === -1) {
+    throw new Error('Products.csv header must contain "sp" and "url" columns.');
+  }
+
+  if (skuSingleIndex === -1 || skuSetIndex === -1) {
+    throw new Error(
+      'Products.csv header must contain "sku_single" and "skuid_set" columns.'
+    );
+  }
+
+  if (limitSingleIndex === -1 || limitSetIndex === -1) {
+    throw new Error(
+      'Products.csv header must contain "limit_single" and "limit_set" columns.'
+    );
+  }
+
+  return rows.slice(1).map((line, index) => {
+    const cells = splitCsvRow(line).map(normalizeCsvValue);
+    const name = cells[spIndex];
+    const url = cells[urlIndex];
+    const csvSpuId = spuIndex === -1 ? "" : cells[spuIndex];
+    const skuSingleId = skuSingleIndex === -1 ? "" : cells[skuSingleIndex];
+    const skuSetId = skuSetIndex === -1 ? "" : cells[skuSetIndex];
+    const limitSingleRaw =
+      limitSingleIndex === -1 ? "" : cells[limitSingleIndex];
+    const limitSetRaw = limitSetIndex === -1 ? "" : cells[limitSetIndex];
+    const skuIncludeRaw = skuIncludeIndex === -1 ? "" : cells[skuIncludeIndex];
+    const skuExcludeRaw = skuExcludeIndex === -1 ? "" : cells[skuExcludeIndex];
+    const regionRaw = regionIndex === -1 ? "" : cells[regionIndex];
+
+    if (!name || !url) {
+      throw new Error(
+        `Invalid row ${index + 2} in Products.csv. Expected values for "sp" and "url".`
+      );
+    }
+
+    const inferredSpuId = extractSpuId(url);
+    const spuId = (csvSpuId || inferredSpuId || "").trim();
+
+    if (!spuId) {
+      throw new Error(
+        `Invalid row ${index + 2} in Products.csv. Provide "spuid" or ensure the URL contains the numeric product ID.`
+      );
+    }
+
+    const region = resolveProductRegion(url, regionRaw);
+    if (!region) {
+      throw new Error(
+        `Invalid row ${index + 2} in Products.csv. Unknown region "${regionRaw}". Expected one of: ${REGION_CODES.join(", ")}.`
+      );
+    }
+
+    return {
+      name,
+      url,
+      spuId,
+      skuSingleId: skuSingleId || null,
+      skuSetId: skuSetId || null,
+      limitSingle: parseLimitValue(limitSingleRaw),
+      limitSet: parseLimitValue(limitSetRaw),
+      skuInclude: parseSkuIdList(skuIncludeRaw),
+      skuExclude: parseSkuIdList(skuExcludeRaw),
+      region,
+      buyNowTitle: deriveBuyNowTitle(url, name),
+    };
+  });
+}
@@ -0,0 +1,168 @@
+import { logger } from "../logger.js";
+import { MS_PER_MINUTE } from "../schedule.js";
+
+const DEFAULT_WINDOW = 20;
+const DEFAULT_MIN_SUCCESS_RATE = 0.5;
+const DEFAULT_SLOW_LATENCY_MS = 20000;
+const DEFAULT_QUARANTINE_MINUTES = 10;
+const MIN_SAMPLES = 5;
+const MAX_CONSECUTIVE_FAILURES = 3;
+// Repeat offenders stay out longer: 10, 20, 40, then 80 minutes at most.
+const MAX_QUARANTINE_MULTIPLIER = 8;
+// Latency at which a proxy's score is halved.
+const REFERENCE_LATENCY_MS = 8000;
+
+let healthSettings = null;
+
+function readNumber(name, defaultValue, { min = 0, max = Infinity } = {}) {
+  const rawValue = process.env[name];
+  if (!rawValue || !rawValue.trim()) {
+    return defaultValue;
+  }
+
+  const parsed = Number(rawValue.trim());
+  if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+    logger.warn(`Ignoring invalid ${name} "${rawValue}". Using ${defaultValue}.`);
+    return defaultValue;
+  }
+  return parsed;
+}
+
+export function resolveHealthSettings() {
+  if (!healthSettings) {
+    healthSettings = {
+      window: Math.max(MIN_SAMPLES, Math.round(readNumber("PROXY_HEALTH_WINDOW", DEFAULT_WINDOW, { min: 1 }))),
+      minSuccessRate: readNumber("PROXY_MIN_SUCCESS_RATE", DEFAULT_MIN_SUCCESS_RATE, { max: 1 }),
+      slowLatencyMs: readNumber("PROXY_SLOW_LATENCY_MS", DEFAULT_SLOW_LATENCY_MS),
+      quarantineMs:
+        readNumber("PROXY_QUARANTINE_MINUTES", DEFAULT_QUARANTINE_MINUTES, { min: 0 }) * MS_PER_MINUTE,
+    };
+  }
+  return healthSettings;
+}
+
+/**
+ * Rolling record of the last few checks made through one proxy: success rate,
+ * average latency of successful checks and timeouts. A proxy that has been
+ * quarantined before starts on probation and goes straight back to quarantine
+ * if its first check fails.
+ */
+export class ProxyHealth {
+  constructor(settings = resolveHealthSettings()) {
+    this.settings = settings;
+    this.results = [];
+    this.consecutiveFailures = 0;
+    this.totalChecks = 0;
+    this.quarantineCount = 0;
+    this.quarantinedUntil = null;
+    this.probation = false;
+  }
+
+  record({ success, durationMs, timedOut = false }) {
+    this.results.push({ success, durationMs, timedOut });
+    if (this.results.length > this.settings.window) {
+      this.results.shift();
+    }
+    this.totalChecks += 1;
+    this.consecutiveFailures = success ? 0 : this.consecutiveFailures + 1;
+  }
+
+  get stats() {
+    const samples = this.results.length;
+    const successes = this.results.filter((entry) => entry.success);
+    const latencies = successes.map((entry) => entry.durationMs);
+    return {
+      samples,
+      successRate: samples > 0 ? successes.length / samples : null,
+      avgLatencyMs:
+        latencies.length > 0
+          ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length)
+          : null,
+      timeouts: this.results.filter((entry) => entry.timedOut).length,
+      consecutiveFailures: this.consecutiveFailures,
+      totalChecks: this.totalChecks,
+    };
+  }
+
+  // Between 0 and 1. Untested proxies start at 0.5 (one assumed success and
+  // one assumed failure) so they are tried without displacing proven ones.
+  get score() {
+    const { samples, avgLatencyMs } = this.stats;
+    const successes = this.results.filter((entry) => entry.success).length;
+    const successScore = (successes + 1) / (samples + 2);
+    const latencyScore = avgLatencyMs === null ? 1 : REFERENCE_LATENCY_MS / (REFERENCE_LATENCY_MS + avgLatencyMs);
+    return successScore * latencyScore;
+  }
+
+  isQuarantined(now = Date.now()) {
+    return this.quarantinedUntil !== null && this.quarantinedUntil > now;
+  }
+
+  /**
+   * Returns why the proxy should be quarantined after its latest result, or
+   * null while it is healthy enough to keep.
+   */
+  findQuarantineReason() {
+    const { samples, successRate, avgLatencyMs, consecutiveFailures } = this.stats;
+    const latest = this.results[this.results.length - 1];
+
+    if (this.probation && latest && !latest.success) {
+      return "failed again after quarantine";
+    }
+    if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+      return `${consecutiveFailures} failures in a row`;
+    }
+    if (samples >= MIN_SAMPLES && successRate < this.settings.minSuccessRate) {
+      return `success rate ${formatRate(successRate)}`;
+    }
+    if (
+      this.settings.slowLatencyMs > 0 &&
+      samples >= MIN_SAMPLES &&
+      avgLatencyMs !== null &&
+      avgLatencyMs > this.settings.slowLatencyMs
+    ) {
+      return `average latency ${avgLatencyMs}ms`;
+    }
+    return null;
+  }
+
+  quarantine(now = Date.now()) {
+    this.quarantineCount += 1;
+    const multiplier = Math.min(2 ** (this.quarantineCount - 1), MAX_QUARANTINE_MULTIPLIER);
+    const durationMs = this.settings.quarantineMs * multiplier;
+    this.quarantinedUntil = now + durationMs;
+    this.probation = false;
+    return durationMs;
+  }
+
+  // The proxy gets a clean slate for its re-test; the quarantine count is
+  // kept so repeated failures back off further.
+  release() {
+    this.quarantinedUntil = null;
+    this.results = [];
+    this.consecutiveFailures = 0;
+    this.probation = true;
+  }
+
+  // Called after a successful check; a proxy that passes its re-test is
+  // trusted again.
+  confirmRecovery() {
+    if (this.probation) {
+      this.probation = false;
+      this.quarantineCount = 0;
+    }
+  }
+
+  describe() {
+    const { samples, successRate, avgLatencyMs, timeouts } = this.stats;
+    if (samples === 0) {
+      return "no checks yet";
+    }
+    const latency = avgLatencyMs === null ? "-" : `${avgLatencyMs}ms`;
+    return `${formatRate(successRate)} ok of ${samples}, avg ${latency}, ${timeouts} timeout${timeouts === 1 ? "" : "s"}`;
+  }
+}
+
+export function formatRate(rate) {
+  return rate === null ? "-" : `${Math.round(rate * 100)}%`;
+}
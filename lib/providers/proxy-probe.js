@@ -0,0 +1,134 @@
+import net from "net";
+import tls from "tls";
+import { logger } from "../logger.js";
+import { MS_PER_MINUTE, MS_PER_SECOND } from "../schedule.js";
+import { connectViaSocks5 } from "./socks.js";
+
+const PROBE_HOST = "www.popmart.com";
+const PROBE_PORT = 443;
+const DEFAULT_PROBE_TIMEOUT_MS = 10000;
+const MAX_RESPONSE_BYTES = 8192;
+const DEFAULT_READMIT_PASSES = 2;
+const DEFAULT_PROBE_INTERVAL_SECONDS = 60;
+const DEFAULT_PROBE_MAX_INTERVAL_MINUTES = 30;
+
+let readmissionSettings = null;
+
+function buildConnectRequest(config) {
+  const target = `${PROBE_HOST}:${PROBE_PORT}`;
+  const lines = [`CONNECT ${target} HTTP/1.1`, `Host: ${target}`];
+  if (config.username && config.password) {
+    const credentials = Buffer.from(`${config.username}:${config.password}`).toString("base64");
+    lines.push(`Proxy-Authorization: Basic ${credentials}`);
+  }
+  return `${lines.join("\r\n")}\r\n\r\n`;
+}
+
+function connectToProxy(config) {
+  if (config.protocol === "https") {
+    return tls.connect({
+      host: config.host,
+      port: config.port,
+      servername: net.isIP(config.host) ? undefined : config.host,
+    });
+  }
+  return net.connect({ host: config.host, port: config.port });
+}
+
+function requestTunnel(config, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    let response = "";
+    let settled = false;
+
+    const socket = connectToProxy(config);
+
+    const finish = (error) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      socket.destroy();
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+
+    socket.setTimeout(timeoutMs, () => finish(new Error(`No answer within ${timeoutMs}ms`)));
+    socket.once("error", (error) => finish(error));
+    socket.once("close", () => finish(new Error("Connection closed by the proxy")));
+    socket.once(config.protocol === "https" ? "secureConnect" : "connect", () =>
+      socket.write(buildConnectRequest(config))
+    );
+
+    socket.on("data", (chunk) => {
+      response += chunk.toString("latin1");
+      const headerEnd = response.indexOf("\r\n\r\n");
+      if (headerEnd === -1) {
+        if (response.length > MAX_RESPONSE_BYTES) {
+          finish(new Error("Proxy sent an oversized response"));
+        }
+        return;
+      }
+
+      const statusLine = response.slice(0, response.indexOf("\r\n"));
+      const match = /^HTTP\/\d(?:\.\d)?\s+(\d{3})/.exec(statusLine);
+      if (match && match[1].startsWith("2")) {
+        finish(null);
+      } else {
+        finish(new Error(match ? `Proxy answered ${statusLine.trim()}` : "Proxy sent an invalid response"));
+      }
+    });
+  });
+}
+
+/**
+ * Opens a tunnel to the Pop Mart site through the proxy (HTTP CONNECT, or a
+ * SOCKS5 connect), which is far cheaper than launching a browser through it.
+ * Resolves to `{ ok, latencyMs }` and rejects with the reason otherwise.
+ */
+export async function probeProxy(config, { timeoutMs = DEFAULT_PROBE_TIMEOUT_MS } = {}) {
+  const startedAt = Date.now();
+  if (config.protocol === "socks5") {
+    const socket = await connectViaSocks5(config, PROBE_HOST, PROBE_PORT, { timeoutMs });
+    socket.destroy();
+  } else {
+    await requestTunnel(config, timeoutMs);
+  }
+  return { ok: true, latencyMs: Date.now() - startedAt };
+}
+
+function readPositiveNumber(name, defaultValue) {
+  const rawValue = process.env[name];
+  if (!rawValue || !rawValue.trim()) {
+    return defaultValue;
+  }
+
+  const parsed = Number(rawValue.trim());
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    logger.warn(`Ignoring invalid ${name} "${rawValue}". Using ${defaultValue}.`);
+    return defaultValue;
+  }
+  return parsed;
+}
+
+export function resolveReadmissionSettings() {
+  if (!readmissionSettings) {
+    const rawEnabled = (process.env.PROXY_READMIT || "").trim().toLowerCase();
+    readmissionSettings = {
+      enabled: !["0", "false", "off", "no"].includes(rawEnabled),
+      passes: Math.ceil(readPositiveNumber("PROXY_READMIT_PASSES", DEFAULT_READMIT_PASSES)),
+      intervalMs: readPositiveNumber("PROXY_PROBE_INTERVAL_SECONDS", DEFAULT_PROBE_INTERVAL_SECONDS) * MS_PER_SECOND,
+      maxIntervalMs:
+        readPositiveNumber("PROXY_PROBE_MAX_INTERVAL_MINUTES", DEFAULT_PROBE_MAX_INTERVAL_MINUTES) * MS_PER_MINUTE,
+      timeoutMs: readPositiveNumber("PROXY_PROBE_TIMEOUT_MS", DEFAULT_PROBE_TIMEOUT_MS),
+    };
+  }
+  return readmissionSettings;
+}
+
+// Waits longer after every failed probe: 1, 2, 4, 8 ... minutes up to the maximum.
+export function getProbeDelayMs(settings, failures) {
+  return Math.min(settings.intervalMs * 2 ** failures, settings.maxIntervalMs);
+}
@@ -0,0 +1,280 @@
+import net from "net";
+import { logger } from "../logger.js";
+
+const SOCKS_VERSION = 0x05;
+const AUTH_NONE = 0x00;
+const AUTH_USERNAME_PASSWORD = 0x02;
+const AUTH_NO_ACCEPTABLE = 0xff;
+const COMMAND_CONNECT = 0x01;
+const ADDRESS_IPV4 = 0x01;
+const ADDRESS_DOMAIN = 0x03;
+const ADDRESS_IPV6 = 0x04;
+const DEFAULT_CONNECT_TIMEOUT_MS = 15000;
+const MAX_REQUEST_HEAD_BYTES = 64 * 1024;
+
+const REPLY_MESSAGES = {
+  0x01: "general SOCKS server failure",
+  0x02: "connection not allowed by ruleset",
+  0x03: "network unreachable",
+  0x04: "host unreachable",
+  0x05: "connection refused",
+  0x06: "TTL expired",
+  0x07: "command not supported",
+  0x08: "address type not supported",
+};
+
+// Collects bytes from the socket until `size(buffer)` says a full message has
+// arrived. Anything read past the message is pushed back for the next reader.
+function readMessage(socket, size) {
+  return new Promise((resolve, reject) => {
+    let buffer = Buffer.alloc(0);
+
+    const cleanup = () => {
+      socket.off("data", onData);
+      socket.off("error", onError);
+      socket.off("close", onClose);
+    };
+    const onData = (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      const length = size(buffer);
+      if (length === null || buffer.length < length) {
+        return;
+      }
+      cleanup();
+      socket.pause();
+      if (buffer.length > length) {
+        socket.unshift(buffer.subarray(length));
+      }
+      resolve(buffer.subarray(0, length));
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error("SOCKS proxy closed the connection"));
+    };
+
+    socket.on("data", onData);
+    socket.once("error", onError);
+    socket.once("close", onClose);
+    socket.resume();
+  });
+}
+
+function encodeAddress(host) {
+  const ipVersion = net.isIP(host);
+  if (ipVersion === 4) {
+    return Buffer.from([ADDRESS_IPV4, ...host.split(".").map(Number)]);
+  }
+  if (ipVersion === 6) {
+    const groups = host.split("::");
+    const head = groups[0] ? groups[0].split(":") : [];
+    const tail = groups.length > 1 && groups[1] ? groups[1].split(":") : [];
+    const parts = head.concat(Array(8 - head.length - tail.length).fill("0"), tail);
+    const bytes = parts.flatMap((part) => {
+      const value = Number.parseInt(part, 16);
+      return [value >> 8, value & 0xff];
+    });
+    return Buffer.from([ADDRESS_IPV6, ...bytes]);
+  }
+
+  const name = Buffer.from(host);
+  if (name.length > 255) {
+    throw new Error(`Host name ${host} is too long for SOCKS`);
+  }
+  return Buffer.concat([Buffer.from([ADDRESS_DOMAIN, name.length]), name]);
+}
+
+function replyLength(buffer) {
+  if (buffer.length < 5) {
+    return null;
+  }
+  switch (buffer[3]) {
+    case ADDRESS_IPV4:
+      return 10;
+    case ADDRESS_DOMAIN:
+      return 7 + buffer[4];
+    case ADDRESS_IPV6:
+      return 22;
+    default:
+      return buffer.length;
+  }
+}
+
+async function negotiate(socket, config, targetHost, targetPort) {
+  const withCredentials = Boolean(config.username && config.password);
+  const methods = withCredentials ? [AUTH_NONE, AUTH_USERNAME_PASSWORD] : [AUTH_NONE];
+  socket.write(Buffer.from([SOCKS_VERSION, methods.length, ...methods]));
+
+  const [version, method] = await readMessage(socket, () => 2);
+  if (version !== SOCKS_VERSION) {
+    throw new Error("Proxy did not answer as a SOCKS5 server");
+  }
+  if (method === AUTH_NO_ACCEPTABLE || !methods.includes(method)) {
+    throw new Error(
+      withCredentials
+        ? "SOCKS proxy rejected every authentication method"
+        : "SOCKS proxy requires a username and password"
+    );
+  }
+
+  if (method === AUTH_USERNAME_PASSWORD) {
+    const username = Buffer.from(config.username);
+    const password = Buffer.from(config.password);
+    socket.write(
+      Buffer.concat([
+        Buffer.from([0x01, username.length]),
+        username,
+        Buffer.from([password.length]),
+        password,
+      ])
+    );
+    const [, status] = await readMessage(socket, () => 2);
+    if (status !== 0x00) {
+      throw new Error("SOCKS proxy rejected the username or password");
+    }
+  }
+
+  const port = Buffer.alloc(2);
+  port.writeUInt16BE(targetPort);
+  socket.write(
+    Buffer.concat([
+      Buffer.from([SOCKS_VERSION, COMMAND_CONNECT, 0x00]),
+      encodeAddress(targetHost),
+      port,
+    ])
+  );
+
+  const reply = await readMessage(socket, replyLength);
+  if (reply[1] !== 0x00) {
+    throw new Error(
+      `SOCKS proxy could not reach ${targetHost}:${targetPort}: ${REPLY_MESSAGES[reply[1]] || `error ${reply[1]}`}`
+    );
+  }
+}
+
+/**
+ * Opens a TCP connection to `targetHost:targetPort` through a SOCKS5 proxy,
+ * authenticating with the proxy's username and password when it has them.
+ * Resolves to the connected socket.
+ */
+export function connectViaSocks5(config, targetHost, targetPort, { timeoutMs = DEFAULT_CONNECT_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host: config.host, port: config.port });
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error(`SOCKS proxy did not answer within ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    socket.once("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    socket.once("connect", () => {
+      negotiate(socket, config, targetHost, targetPort).then(
+        () => {
+          clearTimeout(timer);
+          socket.removeAllListeners("error");
+          resolve(socket);
+        },
+        (error) => {
+          clearTimeout(timer);
+          socket.destroy();
+          reject(error);
+        }
+      );
+    });
+  });
+}
+
+function parseRequestTarget(head) {
+  const [requestLine] = head.split("\r\n");
+  const [method, target] = requestLine.split(" ");
+
+  if (method === "CONNECT") {
+    const url = new URL(`http://${target}`);
+    return { tunnel: true, host: url.hostname.replace(/^\[|\]$/g, ""), port: Number(url.port) || 443 };
+  }
+
+  const url = new URL(target);
+  return {
+    tunnel: false,
+    host: url.hostname.replace(/^\[|\]$/g, ""),
+    port: Number(url.port) || (url.protocol === "https:" ? 443 : 80),
+  };
+}
+
+// A plain HTTP request is forwarded over a connection to its own host, so the
+// client must not reuse that connection for requests to other hosts.
+function closeAfterResponse(head) {
+  const lines = head
+    .toString("latin1")
+    .split("\r\n")
+    .filter((line) => line && !/^(proxy-)?connection:/i.test(line));
+  return Buffer.from(`${lines.join("\r\n")}\r\nConnection: close\r\n\r\n`, "latin1");
+}
+
+/**
+ * Chrome's --proxy-server cannot authenticate to SOCKS proxies, so for those
+ * the browser talks to this local HTTP proxy instead, which forwards every
+ * connection through the SOCKS proxy with its credentials. Resolves to
+ * `{ url, close }` once it is listening on a random local port.
+ */
+export function startSocksForwarder(config) {
+  const log = logger.child({ proxy: config.label });
+  const sockets = new Set();
+
+  const server = net.createServer((client) => {
+    sockets.add(client);
+    client.once("close", () => sockets.delete(client));
+    client.on("error", () => {});
+
+    readMessage(client, (buffer) => {
+      const headEnd = buffer.indexOf("\r\n\r\n");
+      if (headEnd !== -1) {
+        return headEnd + 4;
+      }
+      return buffer.length > MAX_REQUEST_HEAD_BYTES ? buffer.length : null;
+    })
+      .then(async (head) => {
+        const { tunnel, host, port } = parseRequestTarget(head.toString("latin1"));
+        const upstream = await connectViaSocks5(config, host, port);
+        sockets.add(upstream);
+        upstream.once("close", () => sockets.delete(upstream));
+        upstream.on("error", () => client.destroy());
+        client.on("error", () => upstream.destroy());
+
+        if (tunnel) {
+          client.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+        } else {
+          upstream.write(closeAfterResponse(head));
+        }
+        client.pipe(upstream);
+        upstream.pipe(client);
+        client.resume();
+      })
+      .catch((error) => {
+        log.debug(`SOCKS forwarder request failed for proxy ${config.label}.`, { err: error.message });
+        if (!client.destroyed) {
+          client.end("HTTP/1.1 502 Bad Gateway\r\nConnection: close\r\n\r\n");
+        }
+      });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      server.off("error", reject);
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        close() {
+          sockets.forEach((socket) => socket.destroy());
+          return new Promise((done) => server.close(() => done()));
+        },
+      });
+    });
+  });
+}
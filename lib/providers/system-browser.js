@@ -0,0 +1,53 @@
+import puppeteer from "puppeteer";
+import { isShuttingDown } from "../lifecycle.js";
+import { BROWSER_LAUNCH_ARGS } from "../popmart.js";
+import { logger } from "../logger.js";
+
+export function createSystemBrowserProvider() {
+  let browserRef = null;
+
+  return {
+    name: "system",
+    capacityLabel: "browsers",
+
+    get size() {
+      return Number.POSITIVE_INFINITY;
+    },
+
+    describe() {
+      return browserRef ? "system browser" : "system browser (not running)";
+    },
+
+    async init() {
+      browserRef = await puppeteer.launch({
+        headless: true,
+        args: BROWSER_LAUNCH_ARGS,
+      });
+    },
+
+    async runCheck(product, attempt) {
+      if (!browserRef) {
+        throw new Error("Browser is not initialized.");
+      }
+
+      const result = await attempt({ browser: browserRef, label: null });
+      return Boolean(result?.success);
+    },
+
+    async shutdown() {
+      if (!browserRef) {
+        return;
+      }
+
+      try {
+        await browserRef.close();
+      } catch (error) {
+        if (!isShuttingDown()) {
+          logger.warn("Error closing browser", { err: error });
+        }
+      } finally {
+        browserRef = null;
+      }
+    },
+  };
+}
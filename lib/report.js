@@ -0,0 +1,146 @@
+import { formatDuration, MS_PER_HOUR } from "./schedule.js";
+
+const GMT7_OFFSET_MS = 7 * MS_PER_HOUR;
+
+function getGmt7Hour(timestampMs) {
+  return new Date(timestampMs + GMT7_OFFSET_MS).getUTCHours();
+}
+
+function createSkuSummary(record) {
+  return {
+    skuId: record.skuId ?? null,
+    restocks: 0,
+    restockHours: new Array(24).fill(0),
+    sellOutDurationsMs: [],
+    peakStock: 0,
+    peakAt: null,
+    observations: 0,
+    firstSeenAt: record.ts,
+    lastSeenAt: record.ts,
+    lastStock: null,
+    restockStartedMs: null,
+  };
+}
+
+/**
+ * Aggregates stock observations per SKU as they are added, so the history can
+ * be streamed. Records must arrive in time order, as the history logs return
+ * them. A restock is a change from 0 to a positive quantity; it lasts until
+ * the next observation of 0. `build()` returns the report.
+ */
+export function createRestockReportBuilder({ sinceMs = null } = {}) {
+  const products = new Map();
+
+  const add = (record) => {
+    if (!record || typeof record.stock !== "number" || !record.ts) {
+      return;
+    }
+    const tsMs = Date.parse(record.ts);
+    if (Number.isNaN(tsMs) || (sinceMs !== null && tsMs < sinceMs)) {
+      return;
+    }
+
+    const spuId = String(record.spuId);
+    let product = products.get(spuId);
+    if (!product) {
+      product = { spuId, name: record.product || spuId, skus: new Map() };
+      products.set(spuId, product);
+    }
+    if (record.product) {
+      product.name = record.product;
+    }
+
+    const skuKey = record.skuId ? String(record.skuId) : "-";
+    let sku = product.skus.get(skuKey);
+    if (!sku) {
+      sku = createSkuSummary(record);
+      product.skus.set(skuKey, sku);
+    }
+
+    sku.observations += 1;
+    sku.lastSeenAt = record.ts;
+
+    if (record.stock > sku.peakStock) {
+      sku.peakStock = record.stock;
+      sku.peakAt = record.ts;
+    }
+
+    if (sku.lastStock === 0 && record.stock > 0) {
+      sku.restocks += 1;
+      sku.restockHours[getGmt7Hour(tsMs)] += 1;
+      sku.restockStartedMs = tsMs;
+    } else if (record.stock === 0 && sku.restockStartedMs !== null) {
+      sku.sellOutDurationsMs.push(tsMs - sku.restockStartedMs);
+      sku.restockStartedMs = null;
+    }
+
+    sku.lastStock = record.stock;
+  };
+
+  const build = () => Array.from(products.values()).map((product) => ({
+    spuId: product.spuId,
+    name: product.name,
+    skus: Array.from(product.skus.values()).map((sku) => {
+      const durations = sku.sellOutDurationsMs;
+      const totalDuration = durations.reduce((sum, value) => sum + value, 0);
+      return {
+        skuId: sku.skuId,
+        observations: sku.observations,
+        firstSeenAt: sku.firstSeenAt,
+        lastSeenAt: sku.lastSeenAt,
+        restocks: sku.restocks,
+        restockHours: sku.restockHours,
+        sellOuts: durations.length,
+        averageSellOutMs: durations.length > 0 ? totalDuration / durations.length : null,
+        fastestSellOutMs: durations.length > 0 ? Math.min(...durations) : null,
+        slowestSellOutMs: durations.length > 0 ? Math.max(...durations) : null,
+        peakStock: sku.peakStock,
+        peakAt: sku.peakAt,
+        inStockNow: sku.lastStock > 0,
+      };
+    }),
+  }));
+
+  return { add, build };
+}
+
+function formatHourHistogram(hours) {
+  const parts = [];
+  hours.forEach((count, hour) => {
+    if (count > 0) {
+      parts.push(`${hour.toString().padStart(2, "0")}h x${count}`);
+    }
+  });
+  return parts.length > 0 ? parts.join(", ") : "-";
+}
+
+export function formatRestockReport(report) {
+  if (report.length === 0) {
+    return "No stock history recorded yet.";
+  }
+
+  const lines = [];
+
+  for (const product of report) {
+    lines.push(`${product.name} (spuId ${product.spuId})`);
+
+    for (const sku of product.skus) {
+      const lasted =
+        sku.averageSellOutMs === null
+          ? "-"
+          : `avg ${formatDuration(sku.averageSellOutMs)}, ` +
+            `min ${formatDuration(sku.fastestSellOutMs)}, max ${formatDuration(sku.slowestSellOutMs)}`;
+
+      lines.push(`  SKU ${sku.skuId ?? "?"}${sku.inStockNow ? " (in stock)" : ""}`);
+      lines.push(`    Restocks: ${sku.restocks}`);
+      lines.push(`    Restock hours (GMT+7): ${formatHourHistogram(sku.restockHours)}`);
+      lines.push(`    Time until sold out: ${lasted}`);
+      lines.push(`    Peak quantity: ${sku.peakStock}${sku.peakAt ? ` at ${sku.peakAt}` : ""}`);
+      lines.push(`    Observations: ${sku.observations} (${sku.firstSeenAt} - ${sku.lastSeenAt})`);
+    }
+
+    lines.push("");
+  }
+
+  return lines.join("\n").trimEnd();
+}
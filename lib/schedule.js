@@ -0,0 +1,354 @@
+import { delay } from "./lifecycle.js";
+import { logger } from "./logger.js";
+
+const GMT7_OFFSET_MINUTES = 7 * 60;
+export const MS_PER_SECOND = 1000;
+export const MS_PER_MINUTE = 60 * MS_PER_SECOND;
+export const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+export const DAY_IN_MS = 24 * MS_PER_HOUR;
+
+let defaultWindowSpecs = ["08:30-18:00"];
+let activeWindows = [];
+let activeWindowSummary = "";
+let activeWindowsInitialized = false;
+// Region code -> windows from ACTIVE_WINDOWS_<CODE>, or the default windows.
+const regionWindows = new Map();
+
+function formatMinutesAsTime(minutes) {
+  const normalized = ((minutes % (24 * 60)) + 24 * 60) % (24 * 60);
+  const hours = Math.floor(normalized / 60);
+  const mins = normalized % 60;
+  return `${hours.toString().padStart(2, "0")}:${mins.toString().padStart(2, "0")}`;
+}
+
+function parseTimeToMinutes(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid time value "${value}". Expected HH:MM.`);
+  }
+  const hours = Number.parseInt(match[1], 10);
+  const minutes = Number.parseInt(match[2], 10);
+  if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
+    throw new Error(`Time "${value}" is out of range.`);
+  }
+  return hours * 60 + minutes;
+}
+
+export function parseActiveWindows(rawValue, defaults = defaultWindowSpecs) {
+  const specs =
+    rawValue && rawValue.trim().length > 0
+      ? rawValue.split(/[,;]+/)
+      : defaults;
+
+  const parsed = [];
+
+  for (const spec of specs) {
+    const trimmed = spec.trim();
+    if (!trimmed) {
+      continue;
+    }
+
+    const parts = trimmed.split("-");
+    if (parts.length !== 2) {
+      throw new Error(`Invalid window spec "${trimmed}". Expected START-END.`);
+    }
+
+    const startMinutes = parseTimeToMinutes(parts[0]);
+    const endMinutes = parseTimeToMinutes(parts[1]);
+
+    if (endMinutes <= startMinutes) {
+      throw new Error(
+        `End time must be after start time in window "${trimmed}".`
+      );
+    }
+
+    parsed.push({ startMinutes, endMinutes });
+  }
+
+  if (parsed.length === 0) {
+    throw new Error("No valid active windows provided.");
+  }
+
+  parsed.sort((a, b) => a.startMinutes - b.startMinutes);
+
+  const merged = [];
+  for (const window of parsed) {
+    const last = merged[merged.length - 1];
+    if (last && window.startMinutes <= last.endMinutes) {
+      last.endMinutes = Math.max(last.endMinutes, window.endMinutes);
+    } else {
+      merged.push({ ...window });
+    }
+  }
+
+  return merged.map((window) => ({
+    startMinutes: window.startMinutes,
+    endMinutes: window.endMinutes,
+    startMs: window.startMinutes * MS_PER_MINUTE,
+    endMs: window.endMinutes * MS_PER_MINUTE,
+  }));
+}
+
+// A single HH:MM-HH:MM range that may wrap past midnight, e.g. "23:00-07:00".
+export function parseTimeRange(spec) {
+  const parts = spec.trim().split("-");
+  if (parts.length !== 2) {
+    throw new Error(`Invalid time range "${spec}". Expected HH:MM-HH:MM.`);
+  }
+
+  const startMinutes = parseTimeToMinutes(parts[0]);
+  const endMinutes = parseTimeToMinutes(parts[1]);
+  if (startMinutes === endMinutes) {
+    throw new Error(`Time range "${spec}" is empty.`);
+  }
+
+  return {
+    startMinutes,
+    endMinutes,
+    label: `${formatMinutesAsTime(startMinutes)}-${formatMinutesAsTime(endMinutes)}`,
+  };
+}
+
+export function isWithinTimeRangeInTimeZone(range, timeZone, now = new Date()) {
+  const minutes = Math.floor(getMsSinceStartOfDayInTimeZone(timeZone, now) / MS_PER_MINUTE);
+  if (range.startMinutes < range.endMinutes) {
+    return minutes >= range.startMinutes && minutes < range.endMinutes;
+  }
+  return minutes >= range.startMinutes || minutes < range.endMinutes;
+}
+
+function summarizeWindows(windows) {
+  return windows
+    .map(
+      (window) =>
+        `${formatMinutesAsTime(window.startMinutes)}-${formatMinutesAsTime(
+          window.endMinutes
+        )}`
+    )
+    .join(", ");
+}
+
+export function initializeActiveWindows({ defaults, force = false } = {}) {
+  if (activeWindowsInitialized && !force) {
+    return;
+  }
+
+  regionWindows.clear();
+
+  if (defaults) {
+    defaultWindowSpecs = defaults;
+  }
+
+  try {
+    activeWindows = parseActiveWindows(process.env.ACTIVE_WINDOWS || "");
+  } catch (error) {
+    if (process.env.ACTIVE_WINDOWS) {
+      logger.warn(
+        `Invalid ACTIVE_WINDOWS configuration "${process.env.ACTIVE_WINDOWS}". Falling back to default ${defaultWindowSpecs.join(", ")}.`
+      );
+      logger.warn(error.message);
+    }
+    activeWindows = parseActiveWindows("");
+  }
+
+  activeWindowSummary = summarizeWindows(activeWindows);
+
+  activeWindowsInitialized = true;
+}
+
+export function getActiveWindowSummary() {
+  initializeActiveWindows();
+  return activeWindowSummary;
+}
+
+export function getNowInGmt7() {
+  const now = new Date();
+  const utc = now.getTime() + now.getTimezoneOffset() * MS_PER_MINUTE;
+  return new Date(utc + GMT7_OFFSET_MINUTES * MS_PER_MINUTE);
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const timeOfDayFormatters = new Map();
+
+function getTimeOfDayFormatter(timeZone) {
+  let formatter = timeOfDayFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    timeOfDayFormatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Milliseconds since local midnight in an IANA time zone, read straight from
+ * the zone's wall clock so DST gaps and host time zones do not shift it.
+ */
+export function getMsSinceStartOfDayInTimeZone(timeZone, now = new Date()) {
+  const parts = Object.fromEntries(
+    getTimeOfDayFormatter(timeZone)
+      .formatToParts(now)
+      .map((part) => [part.type, part.value])
+  );
+
+  return (
+    (Number(parts.hour) % 24) * MS_PER_HOUR +
+    Number(parts.minute) * MS_PER_MINUTE +
+    Number(parts.second) * MS_PER_SECOND +
+    now.getMilliseconds()
+  );
+}
+
+function getMsSinceStartOfDay(date) {
+  return (
+    date.getHours() * MS_PER_HOUR +
+    date.getMinutes() * MS_PER_MINUTE +
+    date.getSeconds() * MS_PER_SECOND +
+    date.getMilliseconds()
+  );
+}
+
+function isWithinWindows(windows, msSinceStart) {
+  return windows.some(
+    (window) => msSinceStart >= window.startMs && msSinceStart < window.endMs
+  );
+}
+
+function msUntilNextWindow(windows, msSinceStart) {
+  for (const window of windows) {
+    if (msSinceStart >= window.startMs && msSinceStart < window.endMs) {
+      return 0;
+    }
+
+    if (msSinceStart < window.startMs) {
+      return window.startMs - msSinceStart;
+    }
+  }
+
+  const firstWindow = windows[0];
+  return DAY_IN_MS - msSinceStart + firstWindow.startMs;
+}
+
+export function isWithinActiveWindow(date = getNowInGmt7()) {
+  initializeActiveWindows();
+  return isWithinWindows(activeWindows, getMsSinceStartOfDay(date));
+}
+
+export function msUntilNextActiveWindow(date = getNowInGmt7()) {
+  initializeActiveWindows();
+  return msUntilNextWindow(activeWindows, getMsSinceStartOfDay(date));
+}
+
+function getRegionWindows(region) {
+  initializeActiveWindows();
+  const cached = regionWindows.get(region.code);
+  if (cached) {
+    return cached;
+  }
+
+  const envKey = `ACTIVE_WINDOWS_${region.code.toUpperCase()}`;
+  let windows = activeWindows;
+  if (process.env[envKey] && process.env[envKey].trim()) {
+    try {
+      windows = parseActiveWindows(process.env[envKey]);
+    } catch (error) {
+      logger.warn(
+        `Invalid ${envKey} configuration "${process.env[envKey]}". Using ${activeWindowSummary} instead.`
+      );
+      logger.warn(error.message);
+    }
+  }
+
+  const entry = { windows, summary: summarizeWindows(windows) };
+  regionWindows.set(region.code, entry);
+  return entry;
+}
+
+// A region (`{ code, timeZone }`) is monitored during ACTIVE_WINDOWS_<CODE>,
+// or the default windows, in its own local time.
+export function isRegionInActiveWindow(region, now = new Date()) {
+  return isWithinWindows(
+    getRegionWindows(region).windows,
+    getMsSinceStartOfDayInTimeZone(region.timeZone, now)
+  );
+}
+
+export function msUntilRegionActiveWindow(region, now = new Date()) {
+  return msUntilNextWindow(
+    getRegionWindows(region).windows,
+    getMsSinceStartOfDayInTimeZone(region.timeZone, now)
+  );
+}
+
+// e.g. "vn 08:30-18:00 Asia/Ho_Chi_Minh; us 08:00-19:00 America/Los_Angeles"
+export function describeRegionWindows(regions) {
+  return regions
+    .map((region) => `${region.code} ${getRegionWindows(region).summary} ${region.timeZone}`)
+    .join("; ");
+}
+
+const DURATION_UNITS = { s: MS_PER_SECOND, m: MS_PER_MINUTE, h: MS_PER_HOUR };
+
+// Accepts seconds as a number or numeric string, or "30s", "5m", "1h".
+// Returns null when the value is not a positive duration.
+export function parseDurationMs(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value > 0 ? value * MS_PER_SECOND : null;
+  }
+
+  const match = typeof value === "string" ? /^(\d+(?:\.\d+)?)\s*([smh]?)$/i.exec(value.trim()) : null;
+  if (!match) {
+    return null;
+  }
+
+  const amount = Number.parseFloat(match[1]);
+  const unit = DURATION_UNITS[(match[2] || "s").toLowerCase()];
+  return amount > 0 ? amount * unit : null;
+}
+
+export function formatDuration(ms) {
+  const totalSeconds = Math.ceil(ms / MS_PER_SECOND);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const parts = [];
+  if (hours > 0) {
+    parts.push(`${hours}h`);
+  }
+  if (minutes > 0) {
+    parts.push(`${minutes}m`);
+  }
+  if (hours === 0 && seconds > 0) {
+    parts.push(`${seconds}s`);
+  }
+  return parts.join(" ") || "0s";
+}
+
+// With regions, waits until the first of them enters its window.
+export async function waitUntilActiveWindow(regions = null) {
+  const waitMs =
+    regions && regions.length > 0
+      ? Math.min(...regions.map((region) => msUntilRegionActiveWindow(region)))
+      : msUntilNextActiveWindow();
+  if (waitMs <= 0) {
+    return;
+  }
+
+  const summary =
+    regions && regions.length > 0 ? describeRegionWindows(regions) : `${getActiveWindowSummary()} GMT+7`;
+  logger.info(`Outside monitoring window (${summary}). Waiting ${formatDuration(waitMs)} before resuming.`);
+  await delay(waitMs);
+}
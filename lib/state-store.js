@@ -0,0 +1,220 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { logger } from "./logger.js";
+
+const DATA_DIR = fileURLToPath(new URL("../data/", import.meta.url));
+const STORE_KINDS = ["json", "sqlite", "memory"];
+const JSON_FLUSH_DELAY_MS = 1000;
+
+export function resolveDataPath(fileName) {
+  return path.join(DATA_DIR, fileName);
+}
+
+// node:sqlite is missing before Node.js 22.5 and needs --experimental-sqlite
+// before 22.13, so the sqlite backends are only usable when the import works.
+export async function isSqliteAvailable() {
+  try {
+    await import("node:sqlite");
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+export async function writeFileAtomic(filePath, content) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, content, "utf8");
+  await fs.rename(tempPath, filePath);
+}
+
+// Persists nothing; used with STATE_STORE=memory.
+export class MemoryStateStore {
+  constructor() {
+    this.label = "memory";
+  }
+
+  async load() {
+    return new Map();
+  }
+
+  set() {}
+
+  async flush() {}
+
+  async close() {}
+}
+
+export class JsonFileStateStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.label = filePath;
+    this.entries = {};
+    this.dirty = false;
+    this.flushTimer = null;
+    this.writing = Promise.resolve();
+  }
+
+  async load() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return new Map();
+      }
+      throw new Error(`Unable to read state file ${this.filePath}: ${error.message}`);
+    }
+
+    try {
+      const parsed = JSON.parse(raw);
+      this.entries = parsed?.skus && typeof parsed.skus === "object" ? parsed.skus : {};
+    } catch (error) {
+      // Moved aside so the next flush cannot overwrite what is left of it.
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      try {
+        await fs.rename(this.filePath, corruptPath);
+      } catch (renameError) {
+        throw new Error(
+          `State file ${this.filePath} is not valid JSON (${error.message}) and could not be moved aside: ${renameError.message}`
+        );
+      }
+      logger.error(
+        `State file ${this.filePath} is not valid JSON (${error.message}). Moved it to ${corruptPath} and starting with empty state.`
+      );
+      this.entries = {};
+    }
+
+    return new Map(Object.entries(this.entries));
+  }
+
+  set(key, entry) {
+    this.entries[key] = entry;
+    this.dirty = true;
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.flush().catch((error) => {
+          logger.warn(`Unable to write state file ${this.filePath}`, { err: error });
+        });
+      }, JSON_FLUSH_DELAY_MS);
+    }
+  }
+
+  async flush() {
+    this.writing = this.writing.then(async () => {
+      if (!this.dirty) {
+        return;
+      }
+
+      this.dirty = false;
+      const content = JSON.stringify(
+        { version: 1, savedAt: new Date().toISOString(), skus: this.entries },
+        null,
+        2
+      );
+
+      try {
+        await writeFileAtomic(this.filePath, content);
+      } catch (error) {
+        this.dirty = true;
+        throw error;
+      }
+    });
+
+    return this.writing;
+  }
+
+  async close() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    await this.flush();
+  }
+}
+
+// Uses the built-in node:sqlite module (Node.js 22.13+), so no extra dependency
+// is needed for the optional backend.
+export class SqliteStateStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.label = filePath;
+    this.db = null;
+    this.upsert = null;
+  }
+
+  async load() {
+    let sqlite;
+    try {
+      sqlite = await import("node:sqlite");
+    } catch (error) {
+      throw new Error(
+        `STATE_STORE=sqlite requires Node.js 22.13 or newer (node:sqlite is unavailable in ${process.version}).`
+      );
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    this.db = new sqlite.DatabaseSync(this.filePath);
+    this.db.exec(
+      "CREATE TABLE IF NOT EXISTS sku_state (" +
+        "key TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at TEXT NOT NULL)"
+    );
+    this.upsert = this.db.prepare(
+      "INSERT INTO sku_state (key, data, updated_at) VALUES (?, ?, ?) " +
+        "ON CONFLICT(key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at"
+    );
+
+    const entries = new Map();
+    for (const row of this.db.prepare("SELECT key, data FROM sku_state").all()) {
+      try {
+        entries.set(row.key, JSON.parse(row.data));
+      } catch (error) {
+        logger.warn(`Ignoring unreadable state row for ${row.key}.`);
+      }
+    }
+    return entries;
+  }
+
+  set(key, entry) {
+    if (!this.upsert) {
+      return;
+    }
+    this.upsert.run(key, JSON.stringify(entry), new Date().toISOString());
+  }
+
+  async flush() {}
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.upsert = null;
+    }
+  }
+}
+
+export function createStateStore() {
+  let kind = (process.env.STATE_STORE || "json").trim().toLowerCase();
+
+  if (!STORE_KINDS.includes(kind)) {
+    logger.warn(
+      `Ignoring invalid STATE_STORE "${process.env.STATE_STORE}". Expected one of: ${STORE_KINDS.join(", ")}.`
+    );
+    kind = "json";
+  }
+
+  const customPath = process.env.STATE_STORE_PATH ? process.env.STATE_STORE_PATH.trim() : "";
+
+  if (kind === "memory") {
+    return new MemoryStateStore();
+  }
+
+  if (kind === "sqlite") {
+    return new SqliteStateStore(customPath || resolveDataPath("state.sqlite"));
+  }
+
+  return new JsonFileStateStore(customPath || resolveDataPath("state.json"));
+}
@@ -0,0 +1,351 @@
+import { formatDuration, getNowInGmt7, MS_PER_MINUTE } from "./schedule.js";
+import { logger } from "./logger.js";
+import { formatRegionPrice } from "./popmart.js";
+
+export const STOCK_EVENT_TYPES = {
+  RESTOCK: "restock",
+  SOLD_OUT: "sold_out",
+  INCREASE: "increase",
+  DECREASE: "decrease",
+};
+
+// Price events share the templates, routing and NOTIFY_EVENTS filter of the
+// stock events but are detected separately (detectPriceChange).
+export const PRICE_EVENT_TYPES = {
+  PRICE_DROP: "price_drop",
+  PROMOTION: "promotion",
+};
+
+export const ALERT_EVENT_TYPES = [...Object.values(STOCK_EVENT_TYPES), ...Object.values(PRICE_EVENT_TYPES)];
+
+const DEFAULT_TEMPLATES = {
+  [STOCK_EVENT_TYPES.RESTOCK]:
+    "Restock {variant}: {product}\nSo luong online: {stock}\nGia: {price}\nMua ngay: {link}",
+  [STOCK_EVENT_TYPES.INCREASE]:
+    "Tang so luong {variant}: {product}\nSo luong online: {previousStock} -> {stock}\nMua ngay: {link}",
+  [STOCK_EVENT_TYPES.DECREASE]:
+    "Giam so luong {variant}: {product}\nSo luong online: {previousStock} -> {stock}\nMua ngay: {link}",
+  [STOCK_EVENT_TYPES.SOLD_OUT]:
+    "Het hang {variant}: {product}\nBan het sau {duration}\n{url}",
+  [PRICE_EVENT_TYPES.PRICE_DROP]:
+    "Giam gia {variant}: {product}\nGia: {previousPrice} -> {price} (-{dropPercent}%)\nKhuyen mai: {promotions}\nMua ngay: {link}",
+  [PRICE_EVENT_TYPES.PROMOTION]:
+    "Khuyen mai moi {variant}: {product}\n{newPromotions}\nGia: {price}\nMua ngay: {link}",
+};
+
+const EVENT_HEADLINES = {
+  [STOCK_EVENT_TYPES.RESTOCK]: "Restock",
+  [STOCK_EVENT_TYPES.INCREASE]: "Tang so luong",
+  [STOCK_EVENT_TYPES.DECREASE]: "Giam so luong",
+  [STOCK_EVENT_TYPES.SOLD_OUT]: "Het hang",
+  [PRICE_EVENT_TYPES.PRICE_DROP]: "Giam gia",
+  [PRICE_EVENT_TYPES.PROMOTION]: "Khuyen mai moi",
+};
+
+// Keeps captions well under Telegram's 1024 character limit for photos.
+const CAPTION_NAME_LIMIT = 200;
+
+const VARIANT_LABELS = {
+  single: "box le",
+  set: "full set",
+  other: "ship",
+};
+
+let templates = null;
+let enabledEvents = null;
+
+// Previous stock is undefined for SKUs seen for the first time; an in-stock
+// first sighting counts as a restock so new listings are still announced.
+export function detectStockTransition(previousStock, stock) {
+  if (stock === previousStock) {
+    return null;
+  }
+
+  const wasInStock = typeof previousStock === "number" && previousStock > 0;
+
+  if (stock > 0 && !wasInStock) {
+    return STOCK_EVENT_TYPES.RESTOCK;
+  }
+
+  if (stock <= 0 && wasInStock) {
+    return STOCK_EVENT_TYPES.SOLD_OUT;
+  }
+
+  if (stock > 0 && wasInStock) {
+    return stock > previousStock
+      ? STOCK_EVENT_TYPES.INCREASE
+      : STOCK_EVENT_TYPES.DECREASE;
+  }
+
+  return null;
+}
+
+/**
+ * Reads a price drop threshold: a number or numeric string is an amount in
+ * the product's own currency, "10%" a share of the reference price. Returns `{ amount }`,
+ * `{ percent }` or null when the value is invalid.
+ */
+export function parsePriceThreshold(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value > 0 ? { amount: value } : null;
+  }
+
+  const match = typeof value === "string" ? /^(\d+(?:\.\d+)?)\s*(%?)$/.exec(value.trim()) : null;
+  if (!match) {
+    return null;
+  }
+
+  const number = Number.parseFloat(match[1]);
+  if (match[2]) {
+    return number > 0 && number <= 100 ? { percent: number } : null;
+  }
+  return number > 0 ? { amount: number } : null;
+}
+
+function isPriceDropReached(reference, price, threshold) {
+  const drop = reference - price;
+  if (drop <= 0) {
+    return false;
+  }
+  if (threshold?.percent) {
+    return (drop / reference) * 100 >= threshold.percent;
+  }
+  if (threshold?.amount) {
+    return drop >= threshold.amount;
+  }
+  return true;
+}
+
+/**
+ * Compares an SKU's pricing (`{ price, discountPrice, promotions }`) with its
+ * saved state. Drops are measured from `referencePrice`, which follows price
+ * rises and alerted drops, so small cuts below the threshold add up. Returns
+ * `{ state, change }`: the price fields to save and `{ type, previousPrice,
+ * newPromotions }` or null. The first pricing seen for an SKU never alerts.
+ */
+export function detectPriceChange(previous, pricing, threshold) {
+  const current = pricing.discountPrice ?? pricing.price;
+  const state = {
+    price: pricing.price,
+    discountPrice: pricing.discountPrice,
+    promotions: pricing.promotions,
+    referencePrice: current,
+  };
+
+  if (!previous || !("referencePrice" in previous) || current === null) {
+    return { state: { ...state, referencePrice: current ?? previous?.referencePrice ?? null }, change: null };
+  }
+
+  const reference = previous.referencePrice;
+  const seenPromotions = previous.promotions ?? [];
+  const newPromotions = pricing.promotions.filter((label) => !seenPromotions.includes(label));
+  const dropped = typeof reference === "number" && isPriceDropReached(reference, current, threshold);
+
+  if (typeof reference === "number" && current < reference && !dropped) {
+    state.referencePrice = reference;
+  }
+
+  if (dropped) {
+    return {
+      state,
+      change: { type: PRICE_EVENT_TYPES.PRICE_DROP, previousPrice: reference, newPromotions },
+    };
+  }
+  if (newPromotions.length > 0) {
+    return {
+      state,
+      change: {
+        type: PRICE_EVENT_TYPES.PROMOTION,
+        previousPrice: previous.discountPrice ?? previous.price ?? null,
+        newPromotions,
+      },
+    };
+  }
+  return { state, change: null };
+}
+
+function unescapeTemplate(value) {
+  return value.replace(/\\n/g, "\n");
+}
+
+function loadTemplates() {
+  if (templates) {
+    return templates;
+  }
+
+  templates = { ...DEFAULT_TEMPLATES };
+  for (const type of ALERT_EVENT_TYPES) {
+    const override = process.env[`NOTIFY_TEMPLATE_${type.toUpperCase()}`];
+    if (override && override.trim()) {
+      templates[type] = unescapeTemplate(override);
+    }
+  }
+
+  return templates;
+}
+
+function loadEnabledEvents() {
+  if (enabledEvents) {
+    return enabledEvents;
+  }
+
+  const rawValue = process.env.NOTIFY_EVENTS;
+  if (!rawValue || !rawValue.trim()) {
+    enabledEvents = new Set(ALERT_EVENT_TYPES);
+    return enabledEvents;
+  }
+
+  enabledEvents = new Set();
+  for (const part of rawValue.split(/[,;\s]+/)) {
+    const type = part.trim().toLowerCase().replace(/-/g, "_");
+    if (!type) {
+      continue;
+    }
+    if (!ALERT_EVENT_TYPES.includes(type)) {
+      logger.warn(
+        `Ignoring unknown event type "${part}" in NOTIFY_EVENTS. Expected: ${ALERT_EVENT_TYPES.join(", ")}.`
+      );
+      continue;
+    }
+    enabledEvents.add(type);
+  }
+
+  return enabledEvents;
+}
+
+export function isStockEventEnabled(type) {
+  return loadEnabledEvents().has(type);
+}
+
+// Single boxes and full sets keep their short labels; any other SKU is named
+// after the title from the productDetails payload.
+export function describeVariant(variantKind, skuTitle) {
+  if (variantKind !== "other" && VARIANT_LABELS[variantKind]) {
+    return VARIANT_LABELS[variantKind];
+  }
+  return skuTitle || VARIANT_LABELS.other;
+}
+
+function formatPrice(price, region) {
+  return formatRegionPrice(price, region) ?? "khong ro";
+}
+
+function formatPromotions(labels) {
+  return Array.isArray(labels) && labels.length > 0 ? labels.join(", ") : "khong co";
+}
+
+function formatDropPercent(event) {
+  if (typeof event.previousPrice !== "number" || typeof event.price !== "number" || event.previousPrice <= 0) {
+    return "?";
+  }
+  return String(Math.round(((event.previousPrice - event.price) / event.previousPrice) * 100));
+}
+
+export function renderStockEvent(event) {
+  const template = loadTemplates()[event.type];
+  const values = {
+    product: event.product.name,
+    spuId: event.product.spuId,
+    skuId: event.skuId ?? "",
+    variant: describeVariant(event.variantKind, event.skuTitle),
+    title: event.skuTitle || describeVariant(event.variantKind),
+    price: formatPrice(event.price, event.product.region),
+    previousPrice: formatPrice(event.previousPrice, event.product.region),
+    dropPercent: formatDropPercent(event),
+    promotions: formatPromotions(event.promotions),
+    newPromotions: formatPromotions(event.newPromotions),
+    stock: event.stock,
+    previousStock: event.previousStock ?? 0,
+    delta: event.stock - (event.previousStock ?? 0),
+    link: event.buyNowLink || event.product.url,
+    url: event.product.url,
+    duration:
+      typeof event.inStockForMs === "number"
+        ? formatDuration(event.inStockForMs)
+        : "khong ro",
+    minutes:
+      typeof event.inStockForMs === "number"
+        ? Math.round(event.inStockForMs / MS_PER_MINUTE)
+        : "?",
+  };
+
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : match
+  );
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function formatTimestamp(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return (
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ` +
+    `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()} GMT+7`
+  );
+}
+
+function formatStockChange(event) {
+  return typeof event.previousStock === "number" && event.previousStock !== event.stock
+    ? `${event.previousStock} -> ${event.stock}`
+    : String(event.stock);
+}
+
+function formatPriceChange(event) {
+  return typeof event.previousPrice === "number" && event.previousPrice !== event.price
+    ? `${formatPrice(event.previousPrice, event.product.region)} -> ${formatPrice(event.price, event.product.region)}`
+    : formatPrice(event.price, event.product.region);
+}
+
+function truncateName(name) {
+  return name.length > CAPTION_NAME_LIMIT ? `${name.slice(0, CAPTION_NAME_LIMIT - 3)}...` : name;
+}
+
+function describeHeadline(type) {
+  return EVENT_HEADLINES[type] ?? type;
+}
+
+/**
+ * Renders the HTML caption used by rich Telegram alerts: headline, product,
+ * variant, price, stock and the GMT+7 time of the check.
+ */
+export function renderStockEventCaption(event) {
+  const lines = [
+    `<b>${escapeHtml(describeHeadline(event.type))}: ${escapeHtml(truncateName(event.product.name))}</b>`,
+    `Phan loai: ${escapeHtml(describeVariant(event.variantKind, event.skuTitle))}`,
+    `Gia: ${escapeHtml(formatPriceChange(event))}`,
+    `So luong online: <b>${escapeHtml(formatStockChange(event))}</b>`,
+  ];
+
+  if (Array.isArray(event.promotions) && event.promotions.length > 0) {
+    lines.push(`Khuyen mai: ${escapeHtml(formatPromotions(event.promotions))}`);
+  }
+
+  if (event.type === STOCK_EVENT_TYPES.SOLD_OUT && typeof event.inStockForMs === "number") {
+    lines.push(`Ban het sau ${escapeHtml(formatDuration(event.inStockForMs))}`);
+  }
+
+  lines.push(`<i>${formatTimestamp(getNowInGmt7())}</i>`);
+
+  return lines.join("\n");
+}
+
+// Several SKUs of one product that changed in the same check, one line each.
+export function renderStockEventGroupCaption(events) {
+  const lines = [`<b>${escapeHtml(truncateName(events[0].product.name))}</b>`];
+
+  for (const event of events) {
+    lines.push(
+      `${escapeHtml(describeHeadline(event.type))} ${escapeHtml(describeVariant(event.variantKind, event.skuTitle))}: ` +
+        `<b>${escapeHtml(formatStockChange(event))}</b> - ${escapeHtml(formatPrice(event.price, event.product.region))}`
+    );
+  }
+
+  lines.push(`<i>${formatTimestamp(getNowInGmt7())}</i>`);
+
+  return lines.join("\n");
+}
@@ -0,0 +1,282 @@
+import fs from "fs/promises";
+import { resolveDataPath, writeFileAtomic } from "./state-store.js";
+import { isValidTimeZone, isWithinTimeRangeInTimeZone, parseTimeRange } from "./schedule.js";
+import { ALERT_EVENT_TYPES, STOCK_EVENT_TYPES } from "./stock-events.js";
+import { NEW_PRODUCT_TYPE } from "./listings.js";
+import { resolveRegion } from "./popmart.js";
+import { logger } from "./logger.js";
+
+export const ALL_PRODUCTS = "*";
+
+let registryLoading = null;
+
+export function isSubscriptionsEnabled() {
+  const rawValue = (process.env.TELEGRAM_SUBSCRIPTIONS || "").trim().toLowerCase();
+  return !["0", "false", "off", "no"].includes(rawValue);
+}
+
+function getNotificationStocks(notification) {
+  if (Array.isArray(notification.data?.skus)) {
+    return notification.data.skus.map((sku) => sku.stock);
+  }
+  return typeof notification.data?.stock === "number" ? [notification.data.stock] : [];
+}
+
+// Quiet hours are read in the subscriber's own time zone, or the default
+// region's (POPMART_REGION) when they never set one.
+export function resolveSubscriberTimeZone(subscriber) {
+  return subscriber.timeZone || resolveRegion(null).timeZone;
+}
+
+/**
+ * Telegram chats that asked for alerts about specific products (by spuId) or
+ * tags, each with an optional minimum stock and quiet hours. Saved to
+ * data/subscribers.json on every change.
+ */
+export class SubscriberRegistry {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.subscribers = new Map();
+    this.saving = Promise.resolve();
+  }
+
+  async load() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return 0;
+      }
+      throw new Error(`Unable to read subscribers file ${this.filePath}: ${error.message}`);
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`Subscribers file ${this.filePath} is not valid JSON: ${error.message}`);
+    }
+
+    for (const subscriber of Array.isArray(parsed?.subscribers) ? parsed.subscribers : []) {
+      if (subscriber && subscriber.chatId) {
+        this.subscribers.set(String(subscriber.chatId), {
+          spuIds: [],
+          tags: [],
+          minStock: null,
+          quietHours: null,
+          timeZone: null,
+          mutedUntil: {},
+          ...subscriber,
+          chatId: String(subscriber.chatId),
+        });
+      }
+    }
+    return this.subscribers.size;
+  }
+
+  save() {
+    const content = JSON.stringify(
+      {
+        version: 1,
+        savedAt: new Date().toISOString(),
+        subscribers: Array.from(this.subscribers.values()),
+      },
+      null,
+      2
+    );
+
+    this.saving = this.saving
+      .then(() => writeFileAtomic(this.filePath, content))
+      .catch((error) => {
+        logger.warn(`Unable to write subscribers file ${this.filePath}`, { err: error.message });
+      });
+    return this.saving;
+  }
+
+  get size() {
+    return this.subscribers.size;
+  }
+
+  list() {
+    return Array.from(this.subscribers.values());
+  }
+
+  get(chatId) {
+    return this.subscribers.get(String(chatId)) ?? null;
+  }
+
+  getOrCreate(chatId, name) {
+    const key = String(chatId);
+    let subscriber = this.subscribers.get(key);
+    if (!subscriber) {
+      subscriber = {
+        chatId: key,
+        name: name || null,
+        spuIds: [],
+        tags: [],
+        minStock: null,
+        quietHours: null,
+        timeZone: null,
+        mutedUntil: {},
+        createdAt: new Date().toISOString(),
+      };
+      this.subscribers.set(key, subscriber);
+    }
+    return subscriber;
+  }
+
+  subscribe(chatId, name, { spuIds = [], tags = [] }) {
+    const subscriber = this.getOrCreate(chatId, name);
+    for (const spuId of spuIds) {
+      if (!subscriber.spuIds.includes(spuId)) {
+        subscriber.spuIds.push(spuId);
+      }
+    }
+    for (const tag of tags) {
+      if (!subscriber.tags.includes(tag)) {
+        subscriber.tags.push(tag);
+      }
+    }
+    this.save();
+    return subscriber;
+  }
+
+  // Removes the given spuIds and tags; removing everything (or `all`) deletes
+  // the subscriber.
+  unsubscribe(chatId, { spuIds = [], tags = [], all = false }) {
+    const subscriber = this.get(chatId);
+    if (!subscriber) {
+      return null;
+    }
+
+    subscriber.spuIds = all ? [] : subscriber.spuIds.filter((spuId) => !spuIds.includes(spuId));
+    subscriber.tags = all ? [] : subscriber.tags.filter((tag) => !tags.includes(tag));
+
+    if (subscriber.spuIds.length === 0 && subscriber.tags.length === 0) {
+      this.subscribers.delete(subscriber.chatId);
+    }
+    this.save();
+    return subscriber;
+  }
+
+  setMinStock(chatId, minStock) {
+    const subscriber = this.get(chatId);
+    if (!subscriber) {
+      return null;
+    }
+    subscriber.minStock = minStock;
+    this.save();
+    return subscriber;
+  }
+
+  // Without a time zone the one set earlier is kept.
+  setQuietHours(chatId, spec, timeZone = null) {
+    const subscriber = this.get(chatId);
+    if (!subscriber) {
+      return null;
+    }
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      throw new Error(`Unknown time zone "${timeZone}". Expected an IANA time zone like "Asia/Singapore".`);
+    }
+    subscriber.quietHours = spec ? parseTimeRange(spec).label : null;
+    if (timeZone) {
+      subscriber.timeZone = timeZone;
+    }
+    this.save();
+    return subscriber;
+  }
+
+  muteProduct(chatId, spuId, until) {
+    const subscriber = this.get(chatId);
+    if (!subscriber) {
+      return null;
+    }
+    subscriber.mutedUntil[spuId] = until;
+    this.save();
+    return subscriber;
+  }
+
+  isInterested(subscriber, product) {
+    if (subscriber.spuIds.includes(ALL_PRODUCTS) || subscriber.spuIds.includes(product.spuId)) {
+      return true;
+    }
+    const productTags = (product.tags ?? []).map((tag) => tag.toLowerCase());
+    return subscriber.tags.some((tag) => productTags.includes(tag));
+  }
+
+  // Sold-out alerts ignore the minimum stock; subscribers still want to know
+  // that a product they follow is gone. Test alerts only go to the main chat.
+  // A newly listed product has no spuId or tags anyone subscribed to yet, so
+  // new_product alerts only reach subscribers of all products.
+  isDeliverable(subscriber, notification, now = Date.now()) {
+    const { product } = notification;
+    const isNewListing = notification.type === NEW_PRODUCT_TYPE;
+    if (notification.test || !(isNewListing || ALERT_EVENT_TYPES.includes(notification.type))) {
+      return false;
+    }
+    if (!product) {
+      return false;
+    }
+    const interested = isNewListing
+      ? subscriber.spuIds.includes(ALL_PRODUCTS)
+      : this.isInterested(subscriber, product);
+    if (!interested) {
+      return false;
+    }
+
+    const mutedUntil = subscriber.mutedUntil?.[product.spuId];
+    if (mutedUntil && mutedUntil > now) {
+      return false;
+    }
+
+    if (
+      subscriber.quietHours &&
+      isWithinTimeRangeInTimeZone(
+        parseTimeRange(subscriber.quietHours),
+        resolveSubscriberTimeZone(subscriber),
+        new Date(now)
+      )
+    ) {
+      return false;
+    }
+
+    if (subscriber.minStock && notification.type !== STOCK_EVENT_TYPES.SOLD_OUT) {
+      const stocks = getNotificationStocks(notification);
+      if (stocks.length > 0 && Math.max(...stocks) < subscriber.minStock) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Chat ids that should receive a stock notification, excluding the chats
+   * listed in `exclude` (the main alert chat already gets every alert).
+   */
+  findRecipients(notification, { exclude = [] } = {}) {
+    const excluded = new Set(exclude.map(String));
+    return this.list()
+      .filter((subscriber) => !excluded.has(subscriber.chatId))
+      .filter((subscriber) => this.isDeliverable(subscriber, notification))
+      .map((subscriber) => subscriber.chatId);
+  }
+}
+
+export function openSubscriberRegistry() {
+  if (!registryLoading) {
+    registryLoading = (async () => {
+      const customPath = process.env.SUBSCRIBERS_PATH ? process.env.SUBSCRIBERS_PATH.trim() : "";
+      const candidate = new SubscriberRegistry(customPath || resolveDataPath("subscribers.json"));
+      const count = await candidate.load();
+      if (count > 0) {
+        logger.info(
+          `Loaded ${count} Telegram subscriber${count === 1 ? "" : "s"} from ${candidate.filePath}.`
+        );
+      }
+      return candidate;
+    })();
+  }
+  return registryLoading;
+}
@@ -0,0 +1,498 @@
+import { delay, isShuttingDown } from "./lifecycle.js";
+import { formatDuration, MS_PER_HOUR, MS_PER_MINUTE } from "./schedule.js";
+import { callTelegramApi, ensureTelegramConfig, sendTelegramMessage } from "./telegram.js";
+import {
+  ALL_PRODUCTS,
+  isSubscriptionsEnabled,
+  openSubscriberRegistry,
+  resolveSubscriberTimeZone,
+} from "./subscribers.js";
+import { logger } from "./logger.js";
+
+const LONG_POLL_TIMEOUT_SECONDS = 30;
+const POLL_ERROR_BACKOFF_MS = 5000;
+const MAX_LIST_LINES = 50;
+const MUTE_CALLBACK_PREFIX = "mute:";
+const DEFAULT_MUTE_MS = MS_PER_HOUR;
+
+const SUBSCRIBER_HELP_LINES = [
+  "/subscribe <spuId|#tag|all> - nhan thong bao san pham",
+  "/unsubscribe <spuId|#tag|all> - huy nhan thong bao",
+  "/mysubs - danh sach dang ky cua ban",
+  "/threshold <so luong|off> - chi bao khi ton kho tu muc nay",
+  "/quiet <HH:MM-HH:MM|off> [mui gio] - gio khong nhan thong bao",
+];
+
+const SUBSCRIBER_COMMANDS = new Set(["subscribe", "unsubscribe", "mysubs", "threshold", "quiet"]);
+
+// Commands any chat may use when subscriptions are enabled.
+const PUBLIC_COMMANDS = new Set([...SUBSCRIBER_COMMANDS, "start", "help", "list"]);
+
+const SUBSCRIBER_HELP_TEXT = [
+  "Lenh ho tro:",
+  "/list - danh sach san pham dang theo doi",
+  ...SUBSCRIBER_HELP_LINES,
+].join("\n");
+
+const HELP_TEXT = [
+  "Lenh ho tro:",
+  "/status - trang thai bot",
+  "/list - danh sach san pham dang theo doi",
+  "/add <url> [ten] - them san pham",
+  "/remove <spuId> - bo theo doi san pham",
+  "/pause - tam dung",
+  "/resume - tiep tuc",
+  "/stock <spuId> - ton kho gan nhat",
+  "/mute <spuId> [phut] - tat thong bao san pham (mac dinh 60 phut)",
+  "/unmute <spuId> - bat lai thong bao san pham",
+  "/subscribers - danh sach nguoi dang ky",
+  ...SUBSCRIBER_HELP_LINES,
+].join("\n");
+
+// Inline "mute" buttons on alerts carry this as their callback data.
+export function createMuteCallbackData(spuId) {
+  return `${MUTE_CALLBACK_PREFIX}${spuId}`;
+}
+
+function isTelegramCommandsEnabled() {
+  const rawValue = (process.env.TELEGRAM_COMMANDS || "").trim().toLowerCase();
+  return !["0", "false", "off", "no"].includes(rawValue);
+}
+
+function resolveAuthorizedChatIds(config) {
+  const rawValue = process.env.TELEGRAM_ADMIN_CHAT_IDS || config.chatId || "";
+  return new Set(
+    rawValue
+      .split(/[,;\s]+/)
+      .map((value) => value.trim())
+      .filter(Boolean)
+  );
+}
+
+function parseCommand(text) {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith("/")) {
+    return null;
+  }
+
+  const [head, ...args] = trimmed.split(/\s+/);
+  const name = head.slice(1).split("@")[0].toLowerCase();
+  return { name, args };
+}
+
+function formatStatus(status) {
+  return [
+    `Trang thai: ${status.paused ? "tam dung" : "dang chay"}`,
+    `Uptime: ${formatDuration(status.uptimeMs)}`,
+    `So luot quet: ${status.passCount}` +
+      (status.lastPassDurationMs !== null ? ` (luot cuoi ${formatDuration(status.lastPassDurationMs)})` : ""),
+    `San pham: ${status.productCount} (${status.productSource ?? "-"})`,
+    `Trinh duyet: ${status.provider}`,
+    `Song song: ${status.currentConcurrency}/${status.targetConcurrency}`,
+    `Khung gio: ${status.activeWindows} (${status.inActiveWindow ? "dang trong khung" : "ngoai khung"})`,
+    status.blockedRegions.length > 0 ? `Bi chan: ${status.blockedRegions.join(", ")}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function formatProductList(products) {
+  if (products.length === 0) {
+    return "Chua theo doi san pham nao.";
+  }
+
+  const lines = products
+    .slice(0, MAX_LIST_LINES)
+    .map((product) => `${product.spuId} - ${product.name}`);
+
+  if (products.length > MAX_LIST_LINES) {
+    lines.push(`... va ${products.length - MAX_LIST_LINES} san pham khac`);
+  }
+
+  return [`Dang theo doi ${products.length} san pham:`, ...lines].join("\n");
+}
+
+function formatStock(result) {
+  const { product, skus } = result;
+  if (skus.length === 0) {
+    return `${product.name}: chua co du lieu ton kho.`;
+  }
+
+  const lines = skus.map((sku) => {
+    const label = sku.title || (sku.skuId ? `SKU ${sku.skuId}` : "SKU");
+    const seen = sku.lastSeenAt ? ` (cap nhat ${sku.lastSeenAt})` : "";
+    return `${label}: ${sku.stock}${seen}`;
+  });
+
+  return [`${product.name} (spuId ${product.spuId})`, ...lines].join("\n");
+}
+
+function formatSubscription(subscriber) {
+  if (!subscriber) {
+    return "Ban chua dang ky san pham nao. Dung /subscribe <spuId|#tag|all>.";
+  }
+
+  const targets = [
+    ...subscriber.spuIds.map((spuId) => (spuId === ALL_PRODUCTS ? "tat ca san pham" : spuId)),
+    ...subscriber.tags.map((tag) => `#${tag}`),
+  ];
+
+  return [
+    `Dang ky: ${targets.length > 0 ? targets.join(", ") : "-"}`,
+    `Ton kho toi thieu: ${subscriber.minStock ?? "khong"}`,
+    `Gio yen lang: ${subscriber.quietHours ? `${subscriber.quietHours} (${resolveSubscriberTimeZone(subscriber)})` : "khong"}`,
+  ].join("\n");
+}
+
+function formatSubscriberList(subscribers) {
+  if (subscribers.length === 0) {
+    return "Chua co ai dang ky.";
+  }
+
+  const lines = subscribers.slice(0, MAX_LIST_LINES).map((subscriber) => {
+    const targets = [...subscriber.spuIds, ...subscriber.tags.map((tag) => `#${tag}`)];
+    return `${subscriber.name || subscriber.chatId} (${subscriber.chatId}): ${targets.join(", ")}`;
+  });
+
+  if (subscribers.length > MAX_LIST_LINES) {
+    lines.push(`... va ${subscribers.length - MAX_LIST_LINES} nguoi khac`);
+  }
+
+  return [`${subscribers.length} nguoi dang ky:`, ...lines].join("\n");
+}
+
+// Splits /subscribe and /unsubscribe arguments into spuIds and tags. Numeric
+// values are spuIds, "#name" or any other word is a tag, "all" is everything.
+function parseSubscriptionTargets(args) {
+  const targets = { spuIds: [], tags: [], all: false };
+  for (const arg of args) {
+    const value = arg.trim();
+    if (value === "all" || value === ALL_PRODUCTS) {
+      targets.all = true;
+    } else if (/^\d+$/.test(value)) {
+      targets.spuIds.push(value);
+    } else if (value.replace(/^#/, "")) {
+      targets.tags.push(value.replace(/^#/, "").toLowerCase());
+    }
+  }
+  return targets;
+}
+
+function describeChat(message) {
+  const chat = message.chat ?? {};
+  return chat.title || chat.username || message.from?.username || chat.first_name || null;
+}
+
+function executeSubscriberCommand(context, command, message) {
+  const { controller, registry } = context;
+  const chatId = String(message.chat.id);
+
+  switch (command.name) {
+    case "subscribe": {
+      const targets = parseSubscriptionTargets(command.args);
+      if (!targets.all && targets.spuIds.length === 0 && targets.tags.length === 0) {
+        return "Cach dung: /subscribe <spuId|#tag|all>";
+      }
+
+      const watchedSpuIds = new Set(controller.listProducts().map((product) => product.spuId));
+      const unknown = targets.spuIds.filter((spuId) => !watchedSpuIds.has(spuId));
+      if (unknown.length > 0) {
+        return `Khong tim thay spuId ${unknown.join(", ")}. Xem /list.`;
+      }
+
+      const subscriber = registry.subscribe(chatId, describeChat(message), {
+        spuIds: targets.all ? [ALL_PRODUCTS] : targets.spuIds,
+        tags: targets.tags,
+      });
+      return `Da dang ky.\n${formatSubscription(subscriber)}`;
+    }
+
+    case "unsubscribe": {
+      const targets = parseSubscriptionTargets(command.args);
+      if (!targets.all && targets.spuIds.length === 0 && targets.tags.length === 0) {
+        return "Cach dung: /unsubscribe <spuId|#tag|all>";
+      }
+      const subscriber = registry.unsubscribe(chatId, targets);
+      if (!subscriber) {
+        return "Ban chua dang ky san pham nao.";
+      }
+      return registry.get(chatId)
+        ? `Da huy.\n${formatSubscription(subscriber)}`
+        : "Da huy tat ca dang ky.";
+    }
+
+    case "mysubs":
+      return formatSubscription(registry.get(chatId));
+
+    case "list":
+      return formatProductList(controller.listProducts());
+
+    case "threshold": {
+      const [rawValue] = command.args;
+      if (!rawValue) {
+        return "Cach dung: /threshold <so luong|off>";
+      }
+      const minStock = rawValue.toLowerCase() === "off" ? null : Number(rawValue);
+      if (minStock !== null && (!Number.isInteger(minStock) || minStock <= 0)) {
+        return "So luong phai la so nguyen duong.";
+      }
+      const subscriber = registry.setMinStock(chatId, minStock);
+      return subscriber ? formatSubscription(subscriber) : formatSubscription(null);
+    }
+
+    case "quiet": {
+      const [rawValue, timeZone] = command.args;
+      if (!rawValue) {
+        return "Cach dung: /quiet <HH:MM-HH:MM|off> [mui gio]";
+      }
+      try {
+        const subscriber = registry.setQuietHours(
+          chatId,
+          rawValue.toLowerCase() === "off" ? null : rawValue,
+          timeZone || null
+        );
+        return subscriber ? formatSubscription(subscriber) : formatSubscription(null);
+      } catch (error) {
+        return `Khung gio khong hop le: ${error.message}`;
+      }
+    }
+
+    default:
+      return SUBSCRIBER_HELP_TEXT;
+  }
+}
+
+async function executeCommand(context, command, message) {
+  const { controller, registry } = context;
+
+  if (SUBSCRIBER_COMMANDS.has(command.name)) {
+    return registry ? executeSubscriberCommand(context, command, message) : "Tinh nang dang ky dang tat.";
+  }
+
+  switch (command.name) {
+    case "start":
+    case "help":
+      return HELP_TEXT;
+
+    case "status":
+      return formatStatus(controller.getStatus());
+
+    case "list":
+      return formatProductList(controller.listProducts());
+
+    case "add": {
+      const [url, ...nameParts] = command.args;
+      if (!url) {
+        return "Cach dung: /add <url> [ten]";
+      }
+      try {
+        const product = controller.addProduct({ url, name: nameParts.join(" ") });
+        return `Da them ${product.name} (spuId ${product.spuId}).`;
+      } catch (error) {
+        return `Khong the them san pham: ${error.message}`;
+      }
+    }
+
+    case "remove": {
+      const [spuId] = command.args;
+      if (!spuId) {
+        return "Cach dung: /remove <spuId>";
+      }
+      const product = controller.removeProduct(spuId);
+      return product
+        ? `Da bo theo doi ${product.name} (spuId ${product.spuId}).`
+        : `Khong tim thay spuId ${spuId}.`;
+    }
+
+    case "pause":
+      return controller.pause() ? "Da tam dung theo doi." : "Bot dang tam dung.";
+
+    case "resume":
+      return controller.resume() ? "Da tiep tuc theo doi." : "Bot dang chay.";
+
+    case "stock": {
+      const [spuId] = command.args;
+      if (!spuId) {
+        return "Cach dung: /stock <spuId>";
+      }
+      const result = controller.getStock(spuId);
+      return result ? formatStock(result) : `Khong tim thay spuId ${spuId}.`;
+    }
+
+    case "mute": {
+      const [spuId, rawMinutes] = command.args;
+      if (!spuId) {
+        return "Cach dung: /mute <spuId> [phut]";
+      }
+      const minutes = rawMinutes === undefined ? null : Number(rawMinutes);
+      if (minutes !== null && (!Number.isFinite(minutes) || minutes <= 0)) {
+        return "So phut phai la so duong.";
+      }
+      const durationMs = minutes === null ? DEFAULT_MUTE_MS : minutes * MS_PER_MINUTE;
+      const product = controller.muteProduct(spuId, durationMs);
+      return product
+        ? `Da tat thong bao ${product.name} trong ${formatDuration(durationMs)}.`
+        : `Khong tim thay spuId ${spuId}.`;
+    }
+
+    case "unmute": {
+      const [spuId] = command.args;
+      if (!spuId) {
+        return "Cach dung: /unmute <spuId>";
+      }
+      const product = controller.unmuteProduct(spuId);
+      return product
+        ? `Da bat lai thong bao ${product.name}.`
+        : `Khong tim thay spuId ${spuId}.`;
+    }
+
+    case "subscribers":
+      return registry ? formatSubscriberList(registry.list()) : "Tinh nang dang ky dang tat.";
+
+    default:
+      return `Lenh khong hop le: /${command.name}\n\n${HELP_TEXT}`;
+  }
+}
+
+// Admin chats mute the product for everyone; a subscriber's button only
+// mutes the product for that subscriber.
+function muteFromButton(context, chatId, spuId) {
+  const { controller, registry, authorizedChatIds } = context;
+
+  if (authorizedChatIds.has(chatId)) {
+    const product = controller.muteProduct(spuId, DEFAULT_MUTE_MS);
+    return product
+      ? `Da tat thong bao ${product.name} trong ${formatDuration(DEFAULT_MUTE_MS)}.`
+      : `Khong tim thay spuId ${spuId}.`;
+  }
+
+  if (registry?.muteProduct(chatId, spuId, Date.now() + DEFAULT_MUTE_MS)) {
+    const product = controller.listProducts().find((entry) => entry.spuId === spuId);
+    return `Da tat thong bao ${product ? product.name : `spuId ${spuId}`} cho ban trong ${formatDuration(DEFAULT_MUTE_MS)}.`;
+  }
+
+  logger.warn(`Ignoring Telegram button press from unauthorised chat ${chatId}.`);
+  return "Ban khong co quyen dieu khien bot.";
+}
+
+async function handleCallbackQuery(query, context) {
+  const chatId = String(query.message?.chat?.id ?? "");
+  let text = "";
+
+  if (typeof query.data === "string" && query.data.startsWith(MUTE_CALLBACK_PREFIX)) {
+    text = muteFromButton(context, chatId, query.data.slice(MUTE_CALLBACK_PREFIX.length));
+  }
+
+  await callTelegramApi("answerCallbackQuery", { callback_query_id: query.id, text });
+}
+
+async function handleUpdate(update, context) {
+  if (update.callback_query) {
+    await handleCallbackQuery(update.callback_query, context);
+    return;
+  }
+
+  const message = update.message;
+  if (!message || typeof message.text !== "string") {
+    return;
+  }
+
+  const command = parseCommand(message.text);
+  if (!command) {
+    return;
+  }
+
+  const chatId = String(message.chat?.id ?? "");
+  let reply;
+  if (context.authorizedChatIds.has(chatId)) {
+    reply = await executeCommand(context, command, message);
+  } else if (context.registry && PUBLIC_COMMANDS.has(command.name)) {
+    reply = executeSubscriberCommand(context, command, message);
+  } else {
+    logger.warn(`Ignoring Telegram command /${command.name} from unauthorised chat ${chatId}.`);
+    return;
+  }
+
+  await sendTelegramMessage(reply, { chatId });
+}
+
+/**
+ * Long-polls getUpdates and answers commands and alert button presses from
+ * authorised chats (TELEGRAM_ADMIN_CHAT_IDS, or TELEGRAM_CHAT_ID when unset).
+ * Any chat may use the subscription commands unless TELEGRAM_SUBSCRIPTIONS is
+ * off. Returns a function that stops polling.
+ */
+export function startTelegramCommands(controller) {
+  let stopped = false;
+  let abortController = null;
+
+  const poll = async () => {
+    const config = await ensureTelegramConfig();
+    if (!config.token || !isTelegramCommandsEnabled()) {
+      return;
+    }
+
+    const authorizedChatIds = resolveAuthorizedChatIds(config);
+    let registry = null;
+    if (isSubscriptionsEnabled()) {
+      try {
+        registry = await openSubscriberRegistry();
+      } catch (error) {
+        logger.warn(`Telegram subscriptions are disabled: ${error.message}`);
+      }
+    }
+
+    if (authorizedChatIds.size === 0 && !registry) {
+      logger.warn(
+        "Telegram commands are disabled. Provide TELEGRAM_ADMIN_CHAT_IDS or TELEGRAM_CHAT_ID."
+      );
+      return;
+    }
+
+    logger.info(
+      `Listening for Telegram commands from ${authorizedChatIds.size} authorised chat${authorizedChatIds.size === 1 ? "" : "s"}` +
+        (registry ? " and subscribers." : ".")
+    );
+
+    const context = { controller, registry, authorizedChatIds };
+
+    let offset = 0;
+
+    while (!stopped && !isShuttingDown()) {
+      abortController = new AbortController();
+      try {
+        const updates = await callTelegramApi(
+          "getUpdates",
+          { offset, timeout: LONG_POLL_TIMEOUT_SECONDS, allowed_updates: ["message", "callback_query"] },
+          { signal: abortController.signal }
+        );
+
+        for (const update of updates) {
+          offset = update.update_id + 1;
+          try {
+            await handleUpdate(update, context);
+          } catch (error) {
+            logger.error("Failed to handle Telegram command", { err: error });
+          }
+        }
+      } catch (error) {
+        if (stopped || isShuttingDown()) {
+          break;
+        }
+        logger.warn(`Telegram getUpdates failed: ${error.message}. Retrying shortly.`);
+        await delay(POLL_ERROR_BACKOFF_MS);
+      } finally {
+        abortController = null;
+      }
+    }
+  };
+
+  poll().catch((error) => {
+    logger.error("Telegram command listener stopped", { err: error });
+  });
+
+  return () => {
+    stopped = true;
+    abortController?.abort();
+  };
+}
@@ -0,0 +1,341 @@
+import fs from "fs/promises";
+import { callTelegramApi } from "./telegram.js";
+import { resolveDataPath, writeFileAtomic } from "./state-store.js";
+import { MS_PER_MINUTE, MS_PER_SECOND } from "./schedule.js";
+import { notificationFailuresTotal } from "./metrics.js";
+import { logger } from "./logger.js";
+
+const DEFAULT_CHAT_INTERVAL_MS = 1000;
+// Telegram allows about 20 messages per minute in a group.
+const DEFAULT_GROUP_INTERVAL_MS = 3000;
+// Stay below the bot-wide limit of about 30 messages per second.
+const GLOBAL_INTERVAL_MS = 40;
+const DEFAULT_MAX_AGE_MINUTES = 360;
+const DEFAULT_DRAIN_MS = 10 * MS_PER_SECOND;
+const BASE_RETRY_DELAY_MS = 2 * MS_PER_SECOND;
+const MAX_RETRY_DELAY_MS = 5 * MS_PER_MINUTE;
+const REQUEST_TIMEOUT_MS = 15 * MS_PER_SECOND;
+const DRAIN_POLL_MS = 100;
+
+function readPositiveNumber(name, defaultValue) {
+  const rawValue = process.env[name];
+  if (!rawValue || !rawValue.trim()) {
+    return defaultValue;
+  }
+
+  const parsed = Number(rawValue);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    logger.warn(`Ignoring invalid ${name} "${rawValue}". Using ${defaultValue}.`);
+    return defaultValue;
+  }
+  return parsed;
+}
+
+// Network failures, rate limits and server errors are worth retrying; any
+// other API error (bad request, blocked bot, unknown chat) will not go away.
+function isRetryableError(error) {
+  return error.status === undefined || error.status === 429 || error.status >= 500;
+}
+
+function isGroupChat(chatId) {
+  return String(chatId).startsWith("-");
+}
+
+export function isTelegramQueueEnabled() {
+  const rawValue = (process.env.TELEGRAM_QUEUE || "").trim().toLowerCase();
+  return !["0", "false", "off", "no"].includes(rawValue);
+}
+
+/**
+ * Outbound Telegram requests, delivered in order per chat with per-chat
+ * spacing, retried with exponential backoff (or Telegram's `retry_after` on
+ * 429) and saved to disk so undelivered alerts survive a restart.
+ */
+export class TelegramDeliveryQueue {
+  constructor({ filePath, chatIntervalMs, groupIntervalMs, maxAgeMs }) {
+    this.filePath = filePath;
+    this.chatIntervalMs = chatIntervalMs;
+    this.groupIntervalMs = groupIntervalMs;
+    this.maxAgeMs = maxAgeMs;
+    this.jobs = [];
+    this.chatReadyAt = new Map();
+    this.globalReadyAt = 0;
+    this.nextJobId = 1;
+    this.timer = null;
+    this.running = null;
+    this.processing = false;
+    this.stopped = false;
+    this.saving = Promise.resolve();
+    this.dirty = false;
+  }
+
+  async load() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return 0;
+      }
+      throw new Error(`Unable to read Telegram queue ${this.filePath}: ${error.message}`);
+    }
+
+    try {
+      const parsed = JSON.parse(raw);
+      this.jobs = Array.isArray(parsed?.jobs) ? parsed.jobs : [];
+    } catch (error) {
+      logger.warn(
+        `Telegram queue ${this.filePath} is not valid JSON (${error.message}). Starting with an empty queue.`
+      );
+      this.jobs = [];
+    }
+
+    // A restart is a fresh attempt; backoff from the previous run no longer applies.
+    const now = Date.now();
+    this.jobs.forEach((job) => {
+      job.nextAttemptAt = Math.min(job.nextAttemptAt, now);
+    });
+    this.nextJobId = this.jobs.reduce((max, job) => Math.max(max, job.id + 1), 1);
+    return this.jobs.length;
+  }
+
+  get size() {
+    return this.jobs.length;
+  }
+
+  enqueue({ chatId, type = null, method, payload, fallback = null }) {
+    const now = Date.now();
+    this.jobs.push({
+      id: this.nextJobId,
+      chatId: String(chatId),
+      type,
+      method,
+      payload,
+      fallback,
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now,
+    });
+    this.nextJobId += 1;
+    this.save();
+    this.wake(0);
+  }
+
+  start() {
+    this.wake(0);
+  }
+
+  wake(delayMs) {
+    if (this.stopped || this.processing) {
+      return;
+    }
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.running = this.process();
+    }, Math.max(0, delayMs));
+  }
+
+  getChatInterval(chatId) {
+    return isGroupChat(chatId) ? this.groupIntervalMs : this.chatIntervalMs;
+  }
+
+  // Only the oldest job of each chat is eligible, so a chat never receives
+  // alerts out of order while an earlier one is waiting for a retry.
+  findNextJob(now) {
+    const seenChats = new Set();
+    let nextReadyAt = null;
+
+    for (const job of this.jobs) {
+      if (seenChats.has(job.chatId)) {
+        continue;
+      }
+      seenChats.add(job.chatId);
+
+      const readyAt = Math.max(
+        job.nextAttemptAt,
+        this.chatReadyAt.get(job.chatId) ?? 0,
+        this.globalReadyAt
+      );
+      if (readyAt <= now) {
+        return { job, waitMs: 0 };
+      }
+      nextReadyAt = nextReadyAt === null ? readyAt : Math.min(nextReadyAt, readyAt);
+    }
+
+    return { job: null, waitMs: nextReadyAt === null ? null : nextReadyAt - now };
+  }
+
+  dropExpiredJobs(now) {
+    const expired = this.jobs.filter((job) => now - job.createdAt > this.maxAgeMs);
+    if (expired.length === 0) {
+      return;
+    }
+
+    logger.warn(
+      `Dropping ${expired.length} Telegram message${expired.length === 1 ? "" : "s"} older than ${Math.round(this.maxAgeMs / MS_PER_MINUTE)} minutes.`
+    );
+    expired.forEach((job) => this.countFailure(job));
+    this.jobs = this.jobs.filter((job) => !expired.includes(job));
+    this.save();
+  }
+
+  async process() {
+    this.processing = true;
+    try {
+      while (!this.stopped) {
+        const now = Date.now();
+        this.dropExpiredJobs(now);
+
+        const { job, waitMs } = this.findNextJob(now);
+        if (!job) {
+          if (waitMs !== null) {
+            this.timer = setTimeout(() => {
+              this.timer = null;
+              this.wake(0);
+            }, waitMs);
+          }
+          return;
+        }
+
+        await this.deliver(job);
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async deliver(job) {
+    const sentAt = Date.now();
+    this.chatReadyAt.set(job.chatId, sentAt + this.getChatInterval(job.chatId));
+    this.globalReadyAt = sentAt + GLOBAL_INTERVAL_MS;
+
+    try {
+      await callTelegramApi(
+        job.method,
+        { chat_id: job.chatId, ...job.payload },
+        { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) }
+      );
+      this.removeJob(job);
+      return;
+    } catch (error) {
+      job.attempts += 1;
+
+      if (error.status === 429) {
+        const retryAfterMs = error.retryAfterMs ?? BASE_RETRY_DELAY_MS;
+        const readyAt = Date.now() + retryAfterMs;
+        job.nextAttemptAt = readyAt;
+        this.chatReadyAt.set(job.chatId, readyAt);
+        logger.warn(
+          `Telegram rate limit hit for chat ${job.chatId}. Retrying in ${Math.ceil(retryAfterMs / MS_PER_SECOND)}s.`
+        );
+      } else if (isRetryableError(error)) {
+        const backoffMs = Math.min(
+          BASE_RETRY_DELAY_MS * 2 ** (job.attempts - 1),
+          MAX_RETRY_DELAY_MS
+        );
+        job.nextAttemptAt = Date.now() + backoffMs;
+        logger.warn(
+          `${error.message}. Retrying Telegram ${job.method} (attempt ${job.attempts + 1}) in ${Math.ceil(backoffMs / MS_PER_SECOND)}s.`
+        );
+      } else if (job.fallback) {
+        logger.warn(`${error.message}. Falling back to ${job.fallback.method}.`);
+        job.method = job.fallback.method;
+        job.payload = job.fallback.payload;
+        job.fallback = null;
+        job.nextAttemptAt = Date.now();
+      } else {
+        logger.error(`Dropping Telegram ${job.method} to chat ${job.chatId}: ${error.message}`);
+        this.countFailure(job);
+        this.removeJob(job);
+        return;
+      }
+
+      this.save();
+    }
+  }
+
+  // Dispatch already counted the alert as sent when it was queued.
+  countFailure(job) {
+    notificationFailuresTotal.inc({ channel: "telegram", type: job.type ?? "unknown" });
+  }
+
+  removeJob(job) {
+    this.jobs = this.jobs.filter((entry) => entry !== job);
+    this.save();
+  }
+
+  save() {
+    this.dirty = true;
+    this.saving = this.saving
+      .then(async () => {
+        if (!this.dirty) {
+          return;
+        }
+        this.dirty = false;
+        await writeFileAtomic(
+          this.filePath,
+          JSON.stringify({ version: 1, savedAt: new Date().toISOString(), jobs: this.jobs }, null, 2)
+        );
+      })
+      .catch((error) => {
+        this.dirty = true;
+        logger.warn(`Unable to write Telegram queue ${this.filePath}`, { err: error.message });
+      });
+    return this.saving;
+  }
+
+  /**
+   * Keeps delivering for up to `drainMs`, then stops and saves whatever is
+   * still pending for the next start.
+   */
+  async close({ drainMs = 0 } = {}) {
+    const deadline = Date.now() + drainMs;
+    while (this.jobs.length > 0 && Date.now() < deadline) {
+      this.wake(0);
+      await new Promise((resolve) => setTimeout(resolve, DRAIN_POLL_MS));
+    }
+
+    this.stopped = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    await this.running;
+    await this.save();
+
+    if (this.jobs.length > 0) {
+      logger.info(
+        `Saved ${this.jobs.length} undelivered Telegram message${this.jobs.length === 1 ? "" : "s"} to ${this.filePath}.`
+      );
+    }
+  }
+}
+
+export async function openTelegramQueue() {
+  const customPath = process.env.TELEGRAM_QUEUE_PATH ? process.env.TELEGRAM_QUEUE_PATH.trim() : "";
+  const queue = new TelegramDeliveryQueue({
+    filePath: customPath || resolveDataPath("telegram-queue.json"),
+    chatIntervalMs: readPositiveNumber("TELEGRAM_CHAT_INTERVAL_MS", DEFAULT_CHAT_INTERVAL_MS),
+    groupIntervalMs: readPositiveNumber("TELEGRAM_GROUP_INTERVAL_MS", DEFAULT_GROUP_INTERVAL_MS),
+    maxAgeMs:
+      readPositiveNumber("TELEGRAM_QUEUE_MAX_AGE_MINUTES", DEFAULT_MAX_AGE_MINUTES) * MS_PER_MINUTE,
+  });
+
+  const restored = await queue.load();
+  if (restored > 0) {
+    logger.info(
+      `Restored ${restored} undelivered Telegram message${restored === 1 ? "" : "s"} from ${queue.filePath}.`
+    );
+  }
+
+  queue.start();
+  return queue;
+}
+
+export function resolveQueueDrainMs() {
+  return readPositiveNumber("TELEGRAM_QUEUE_DRAIN_MS", DEFAULT_DRAIN_MS);
+}
@@ -0,0 +1,207 @@
+import { loadEnvFromFile } from "./env.js";
+import { logger } from "./logger.js";
+import { MS_PER_SECOND } from "./schedule.js";
+
+// Requests that take longer are aborted and count as failed deliveries.
+const REQUEST_TIMEOUT_MS = 15 * MS_PER_SECOND;
+
+const telegramConfig = {
+  token: process.env.TELEGRAM_BOT_TOKEN
+    ? process.env.TELEGRAM_BOT_TOKEN.trim()
+    : "",
+  chatId: process.env.TELEGRAM_CHAT_ID ? process.env.TELEGRAM_CHAT_ID.trim() : "",
+};
+
+let telegramConfigWarningShown = false;
+let telegramConfigLoadAttempted = false;
+
+export async function ensureTelegramConfig() {
+  if (telegramConfig.token && telegramConfig.chatId) {
+    return telegramConfig;
+  }
+
+  if (!telegramConfigLoadAttempted) {
+    telegramConfigLoadAttempted = true;
+    await loadEnvFromFile();
+
+    if (!telegramConfig.token && process.env.TELEGRAM_BOT_TOKEN) {
+      telegramConfig.token = process.env.TELEGRAM_BOT_TOKEN.trim();
+    }
+
+    if (!telegramConfig.chatId && process.env.TELEGRAM_CHAT_ID) {
+      telegramConfig.chatId = process.env.TELEGRAM_CHAT_ID.trim();
+    }
+  }
+
+  return telegramConfig;
+}
+
+export async function callTelegramApi(
+  method,
+  payload,
+  { signal = AbortSignal.timeout(REQUEST_TIMEOUT_MS) } = {}
+) {
+  await ensureTelegramConfig();
+
+  if (!telegramConfig.token) {
+    throw new Error("TELEGRAM_BOT_TOKEN is not configured.");
+  }
+
+  const response = await fetch(
+    `https://api.telegram.org/bot${telegramConfig.token}/${method}`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(payload),
+      signal,
+    }
+  );
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body?.ok) {
+    const description = body?.description || `HTTP ${response.status}`;
+    const error = new Error(`Telegram ${method} failed: ${description}`);
+    error.status = response.status;
+    if (typeof body?.parameters?.retry_after === "number") {
+      error.retryAfterMs = body.parameters.retry_after * 1000;
+    }
+    throw error;
+  }
+
+  return body.result;
+}
+
+async function resolveTargetChatId(chatId) {
+  await ensureTelegramConfig();
+
+  const targetChatId = chatId || telegramConfig.chatId;
+
+  if (!telegramConfig.token || !targetChatId) {
+    if (!telegramConfigWarningShown) {
+      logger.warn(
+        "Telegram notifications are disabled. Provide TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID (environment or .env)."
+      );
+      telegramConfigWarningShown = true;
+    }
+    return null;
+  }
+
+  return targetChatId;
+}
+
+export async function sendTelegramMessage(text, { chatId } = {}) {
+  const targetChatId = await resolveTargetChatId(chatId);
+  if (!targetChatId) {
+    return false;
+  }
+
+  try {
+    const response = await fetch(
+      `https://api.telegram.org/bot${telegramConfig.token}/sendMessage`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          chat_id: targetChatId,
+          text,
+        }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      }
+    );
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      if (response.status === 404) {
+        logger.error(
+          "Telegram API returned 404. Double-check TELEGRAM_BOT_TOKEN (likely invalid)."
+        );
+      } else if (response.status === 401) {
+        logger.error(
+          "Telegram API returned 401. Verify TELEGRAM_CHAT_ID or bot permissions."
+        );
+      }
+      logger.error("Failed to send Telegram message", { err: errorText });
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    logger.error("Failed to send Telegram message", { err: error });
+    return false;
+  }
+}
+
+/**
+ * Builds the API request for an HTML alert with an optional photo and inline
+ * keyboard (`buttons` is a list of button rows). Photo alerts carry a text
+ * `fallback` for when Telegram cannot fetch the photo.
+ */
+export function createTelegramAlertRequest({ html, photoUrl, buttons }) {
+  const replyMarkup =
+    Array.isArray(buttons) && buttons.length > 0 ? { inline_keyboard: buttons } : undefined;
+
+  const textRequest = {
+    method: "sendMessage",
+    payload: {
+      text: html,
+      parse_mode: "HTML",
+      disable_web_page_preview: true,
+      reply_markup: replyMarkup,
+    },
+    fallback: null,
+  };
+
+  if (!photoUrl) {
+    return textRequest;
+  }
+
+  return {
+    method: "sendPhoto",
+    payload: {
+      photo: photoUrl,
+      caption: html,
+      parse_mode: "HTML",
+      reply_markup: replyMarkup,
+    },
+    fallback: { method: textRequest.method, payload: textRequest.payload },
+  };
+}
+
+export async function sendTelegramAlert({ html, photoUrl, buttons, chatId } = {}) {
+  const targetChatId = await resolveTargetChatId(chatId);
+  if (!targetChatId) {
+    return false;
+  }
+
+  const request = createTelegramAlertRequest({ html, photoUrl, buttons });
+
+  try {
+    await callTelegramApi(request.method, { chat_id: targetChatId, ...request.payload });
+    return true;
+  } catch (error) {
+    if (!request.fallback) {
+      logger.error("Failed to send Telegram alert", { err: error.message });
+      return false;
+    }
+    logger.warn(`${error.message}. Sending the alert without a photo.`);
+  }
+
+  try {
+    await callTelegramApi(request.fallback.method, {
+      chat_id: targetChatId,
+      ...request.fallback.payload,
+    });
+    return true;
+  } catch (error) {
+    logger.error("Failed to send Telegram alert", { err: error.message });
+    return false;
+  }
+}
+
+export function isTelegramConfigured() {
+  return Boolean(telegramConfig.token && telegramConfig.chatId);
+}
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { isAlertAllowed, resolveAlertRules } from "../lib/alert-rules.js";
+import { STOCK_EVENT_TYPES } from "../lib/stock-events.js";
+
+const NOW = Date.parse("2026-01-01T12:00:00Z");
+const MINUTE = 60 * 1000;
+
+function notifiedAgo(ms, lastNotifiedStock = null) {
+  return { lastNotifiedAt: new Date(NOW - ms).toISOString(), lastNotifiedStock };
+}
+
+function event(type, stock, previousStock) {
+  return { type, stock, previousStock };
+}
+
+test("cooldown holds back every event type, restocks included", () => {
+  const rules = { cooldownMs: 10 * MINUTE };
+  const restock = event(STOCK_EVENT_TYPES.RESTOCK, 5, 0);
+  const soldOut = event(STOCK_EVENT_TYPES.SOLD_OUT, 0, 5);
+
+  assert.equal(isAlertAllowed(rules, restock, notifiedAgo(2 * MINUTE), NOW), false);
+  assert.equal(isAlertAllowed(rules, soldOut, notifiedAgo(2 * MINUTE), NOW), false);
+  assert.equal(isAlertAllowed(rules, restock, notifiedAgo(10 * MINUTE), NOW), true);
+  assert.equal(isAlertAllowed(rules, restock, null, NOW), true);
+  assert.equal(isAlertAllowed({}, restock, notifiedAgo(1000), NOW), true);
+});
+
+test("minDelta compares with the last notified stock", () => {
+  const rules = { minDelta: 5 };
+  assert.equal(isAlertAllowed(rules, event(STOCK_EVENT_TYPES.DECREASE, 9, 10), notifiedAgo(MINUTE, 12), NOW), false);
+  assert.equal(isAlertAllowed(rules, event(STOCK_EVENT_TYPES.DECREASE, 7, 8), notifiedAgo(MINUTE, 12), NOW), true);
+  // Without a previous alert the change itself is measured.
+  assert.equal(isAlertAllowed(rules, event(STOCK_EVENT_TYPES.INCREASE, 12, 10), null, NOW), false);
+  assert.equal(isAlertAllowed(rules, event(STOCK_EVENT_TYPES.INCREASE, 15, 10), null, NOW), true);
+  // Restocks and sell-outs are never too small.
+  assert.equal(isAlertAllowed(rules, event(STOCK_EVENT_TYPES.RESTOCK, 1, 0), notifiedAgo(MINUTE, 0), NOW), true);
+  assert.equal(isAlertAllowed(rules, event(STOCK_EVENT_TYPES.SOLD_OUT, 0, 1), notifiedAgo(MINUTE, 1), NOW), true);
+});
+
+test("restockOnly lets only restocks through", () => {
+  const rules = { restockOnly: true };
+  assert.equal(isAlertAllowed(rules, event(STOCK_EVENT_TYPES.RESTOCK, 3, 0), null, NOW), true);
+  assert.equal(isAlertAllowed(rules, event(STOCK_EVENT_TYPES.SOLD_OUT, 0, 3), null, NOW), false);
+  assert.equal(isAlertAllowed(rules, event(STOCK_EVENT_TYPES.INCREASE, 8, 3), null, NOW), false);
+});
+
+test("product rules win over the ALERT_* defaults", () => {
+  process.env.ALERT_COOLDOWN = "5m";
+  process.env.ALERT_MIN_DELTA = "3";
+  process.env.ALERT_GROUP_SKUS = "true";
+  try {
+    const defaults = resolveAlertRules({ region: "vn" });
+    assert.equal(defaults.cooldownMs, 5 * MINUTE);
+    assert.equal(defaults.minDelta, 3);
+    assert.equal(defaults.restockOnly, false);
+    assert.equal(defaults.groupSkus, true);
+
+    const product = resolveAlertRules({
+      region: "vn",
+      cooldownMs: MINUTE,
+      minDelta: null,
+      restockOnly: true,
+      groupSkus: false,
+    });
+    assert.equal(product.cooldownMs, MINUTE);
+    assert.equal(product.minDelta, 3);
+    assert.equal(product.restockOnly, true);
+    assert.equal(product.groupSkus, false);
+  } finally {
+    delete process.env.ALERT_COOLDOWN;
+    delete process.env.ALERT_MIN_DELTA;
+    delete process.env.ALERT_GROUP_SKUS;
+  }
+});
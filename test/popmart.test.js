@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { extractHtmlText, isPopmartBlockPage, resolveRegion } from "../lib/popmart.js";
+
+const BLOCK_PAGE =
+  "<html><head><title>POP MART</title></head><body><p>Bạn đang truy cập quá thường xuyên</p></body></html>";
+
+test("detects the vn block page from its visible text", () => {
+  assert.equal(isPopmartBlockPage(extractHtmlText(BLOCK_PAGE), "vn"), true);
+  assert.equal(isPopmartBlockPage(extractHtmlText(BLOCK_PAGE)), true);
+});
+
+test("ignores phrases in scripts and attributes", () => {
+  const page =
+    '<html><body><img alt="ban dang truy cap qua thuong xuyen">' +
+    "<script>window.faq = 'Bạn đang truy cập quá thường xuyên';</script><h1>Labubu</h1></body></html>";
+  assert.equal(extractHtmlText(page), "Labubu");
+  assert.equal(isPopmartBlockPage(extractHtmlText(page), "vn"), false);
+});
+
+test("uses BLOCK_PATTERNS_<CODE> instead of the built-in phrases", () => {
+  process.env.BLOCK_PATTERNS_SG = "access denied";
+  try {
+    assert.equal(isPopmartBlockPage("Access Denied", "sg"), true);
+    assert.equal(isPopmartBlockPage(extractHtmlText(BLOCK_PAGE), "sg"), false);
+  } finally {
+    delete process.env.BLOCK_PATTERNS_SG;
+  }
+});
+
+test("reuses resolved regions until an override changes", () => {
+  const region = resolveRegion("sg");
+  assert.equal(resolveRegion("sg"), region);
+
+  process.env.TIMEZONE_SG = "Asia/Bangkok";
+  try {
+    assert.equal(resolveRegion("sg").timeZone, "Asia/Bangkok");
+  } finally {
+    delete process.env.TIMEZONE_SG;
+  }
+  assert.equal(resolveRegion("sg").timeZone, "Asia/Singapore");
+});
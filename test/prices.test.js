@@ -0,0 +1,25 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { extractSkuPricing, parsePriceAmount } from "../lib/products.js";
+
+test("reads grouped VND prices with either separator", () => {
+  assert.equal(parsePriceAmount("1.290.000", "vn"), 1290000);
+  assert.equal(parsePriceAmount("1,290,000", "vn"), 1290000);
+  assert.equal(parsePriceAmount("129.000 d", "vn"), 129000);
+});
+
+test("reads decimals with the region's separator", () => {
+  assert.equal(parsePriceAmount("S$12.90", "sg"), 12.9);
+  assert.equal(parsePriceAmount("1,290", "sg"), 1290);
+  assert.equal(parsePriceAmount("1.290,50 €", "de"), 1290.5);
+  assert.equal(parsePriceAmount("no price", "vn"), null);
+});
+
+test("keeps the sale price out of the base price", () => {
+  assert.deepEqual(extractSkuPricing({ originalPrice: "1.290.000", salePrice: "990.000" }, "vn"), {
+    price: 1290000,
+    discountPrice: 990000,
+    promotions: [],
+  });
+  assert.equal(extractSkuPricing({ salePrice: 990000 }, "vn").price, null);
+});
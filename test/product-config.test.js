@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+import { NOTIFIER_CHANNELS } from "../lib/notifiers/index.js";
+import { REGION_CODES } from "../lib/popmart.js";
+import { loadProducts, validateProductConfig } from "../lib/product-config.js";
+import { parseProductsCsv } from "../lib/products.js";
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "popmart-products-"));
+
+after(() => fs.rm(tempDir, { recursive: true, force: true }));
+
+const URL_VN = "https://www.popmart.com/vn/products/6890/THE-MONSTERS-Big-into-Energy";
+const URL_SG = "https://www.popmart.com/sg/products/1707/LABUBU";
+const CSV_HEADER = "sp,url,spuid,sku_single,skuid_set,limit_single,limit_set";
+
+function collectProblems(document) {
+  try {
+    validateProductConfig(document, "products.yaml");
+  } catch (error) {
+    assert.equal(error.code, "INVALID_PRODUCT_CONFIG");
+    return error.details;
+  }
+  assert.fail("expected the config to be rejected");
+}
+
+test("reads structured products with their defaults and region", () => {
+  const [product] = validateProductConfig(
+    { products: [{ name: "Energy", url: URL_VN, sku_single: 10528, cooldown: "5m", priceDrop: "10%" }] },
+    "products.yaml"
+  );
+  assert.equal(product.spuId, "6890");
+  assert.equal(product.region, "vn");
+  assert.equal(product.skuSingleId, "10528");
+  assert.equal(product.cooldownMs, 5 * 60 * 1000);
+  assert.deepEqual(product.priceDrop, { percent: 10 });
+  assert.equal(product.enabled, true);
+});
+
+test("reports every field error with the product it belongs to", () => {
+  const problems = collectProblems([
+    { name: "a", url: URL_VN, region: "zz", limitSingle: 0, color: "red" },
+    { name: "b", url: "ftp://example.com/1" },
+    { url: URL_SG, channels: ["pager"], restockOnly: "yes" },
+  ]);
+
+  assert.deepEqual(problems, [
+    'product #1 ("a"): unknown field "color".',
+    `product #1 ("a"), field "region": unknown region "zz". Expected one of: ${REGION_CODES.join(", ")}.`,
+    'product #1 ("a"), field "limitSingle": must be a positive integer, got 0.',
+    'product #2 ("b"), field "url": must use http or https.',
+    'product #3, field "name": is required.',
+    `product #3, field "channels": unknown channel "pager". Expected one of: ${NOTIFIER_CHANNELS.join(", ")}.`,
+    'product #3, field "restockOnly": must be true or false.',
+  ]);
+});
+
+test("rejects duplicate products and documents without a product list", () => {
+  assert.deepEqual(collectProblems([
+    { name: "a", url: URL_VN },
+    { name: "b", url: URL_VN },
+  ]), ['product #2 ("b"), field "spuId": duplicates product #1 (spuId 6890).']);
+
+  assert.throws(() => validateProductConfig({ items: [] }, "products.json"), /must contain a list of products/);
+  assert.throws(() => validateProductConfig([], "products.json"), /at least one product/);
+});
+
+test("parses CSV rows and rejects invalid ones with their row number", () => {
+  const [product] = parseProductsCsv(`${CSV_HEADER}\nEnergy,${URL_VN},,10528,10529,12,2\n`);
+  assert.equal(product.spuId, "6890");
+  assert.equal(product.region, "vn");
+  assert.equal(product.limitSingle, 12);
+
+  assert.throws(
+    () => parseProductsCsv(`${CSV_HEADER}\nEnergy,${URL_VN},,1,2,1,1\n,${URL_SG},,1,2,1,1\n`),
+    /Invalid row 3 in Products\.csv\. Expected values for "sp" and "url"/
+  );
+  assert.throws(
+    () => parseProductsCsv(`${CSV_HEADER}\nShop,https://www.popmart.com/vn/collection/new,,1,2,1,1\n`),
+    /Invalid row 2 in Products\.csv\. Provide "spuid"/
+  );
+  assert.throws(
+    () => parseProductsCsv(`${CSV_HEADER},region\nEnergy,${URL_VN},,1,2,1,1,zz\n`),
+    /Invalid row 2 in Products\.csv\. Unknown region "zz"/
+  );
+  assert.throws(() => parseProductsCsv("sp,url\nEnergy,x\n"), /"sku_single" and "skuid_set" columns/);
+});
+
+test("falls back to the CSV loader with structured defaults", async () => {
+  const csvPath = path.join(tempDir, "Products.csv");
+  await fs.writeFile(csvPath, `${CSV_HEADER}\nEnergy,${URL_VN},6890,10528,10529,12,2\n`, "utf8");
+
+  process.env.PRODUCTS_FILE = csvPath;
+  try {
+    const { products, source } = await loadProducts();
+    assert.equal(source, "Products.csv");
+    assert.equal(products.length, 1);
+    assert.equal(products[0].priority, 0);
+    assert.equal(products[0].cooldownMs, null);
+    assert.deepEqual(products[0].tags, []);
+  } finally {
+    delete process.env.PRODUCTS_FILE;
+  }
+});
@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { ProxyHealth } from "../lib/providers/proxy-health.js";
+
+const SETTINGS = { window: 10, minSuccessRate: 0.5, slowLatencyMs: 20000, quarantineMs: 60000 };
+
+function recordAll(health, samples) {
+  for (const sample of samples) {
+    health.record(sample);
+  }
+}
+
+test("untested proxies score 0.5", () => {
+  assert.equal(new ProxyHealth(SETTINGS).score, 0.5);
+});
+
+test("scores fall with failures and latency", () => {
+  const fast = new ProxyHealth(SETTINGS);
+  const slow = new ProxyHealth(SETTINGS);
+  const flaky = new ProxyHealth(SETTINGS);
+  recordAll(fast, Array.from({ length: 4 }, () => ({ success: true, durationMs: 1000 })));
+  recordAll(slow, Array.from({ length: 4 }, () => ({ success: true, durationMs: 8000 })));
+  recordAll(flaky, [
+    { success: true, durationMs: 1000 },
+    { success: false, durationMs: 30000, timedOut: true },
+    { success: true, durationMs: 1000 },
+    { success: false, durationMs: 500 },
+  ]);
+
+  assert.ok(fast.score > slow.score);
+  assert.ok(fast.score > flaky.score);
+  // Failed checks do not count towards latency.
+  assert.equal(flaky.stats.avgLatencyMs, 1000);
+  assert.equal(flaky.stats.timeouts, 1);
+  // Five successes out of six, halved at the reference latency.
+  assert.equal(slow.score, (5 / 6) * 0.5);
+});
+
+test("keeps only the last window of samples", () => {
+  const health = new ProxyHealth(SETTINGS);
+  recordAll(health, Array.from({ length: 10 }, () => ({ success: false, durationMs: 100 })));
+  recordAll(health, Array.from({ length: 10 }, () => ({ success: true, durationMs: 100 })));
+  assert.equal(health.stats.samples, 10);
+  assert.equal(health.stats.successRate, 1);
+  assert.equal(health.stats.totalChecks, 20);
+});
+
+test("quarantines after three failures in a row", () => {
+  const health = new ProxyHealth(SETTINGS);
+  recordAll(health, [
+    { success: false, durationMs: 100 },
+    { success: false, durationMs: 100 },
+  ]);
+  assert.equal(health.findQuarantineReason(), null);
+  health.record({ success: false, durationMs: 100 });
+  assert.equal(health.findQuarantineReason(), "3 failures in a row");
+});
+
+test("quarantines on a low success rate or high latency once there are enough samples", () => {
+  const unreliable = new ProxyHealth(SETTINGS);
+  recordAll(unreliable, [
+    { success: true, durationMs: 100 },
+    { success: false, durationMs: 100 },
+    { success: false, durationMs: 100 },
+    { success: true, durationMs: 100 },
+  ]);
+  assert.equal(unreliable.findQuarantineReason(), null);
+  unreliable.record({ success: false, durationMs: 100 });
+  assert.equal(unreliable.findQuarantineReason(), "success rate 40%");
+
+  const slow = new ProxyHealth(SETTINGS);
+  recordAll(slow, Array.from({ length: 5 }, () => ({ success: true, durationMs: 25000 })));
+  assert.equal(slow.findQuarantineReason(), "average latency 25000ms");
+});
+
+test("backs off repeated quarantines and clears them after a passed re-test", () => {
+  const health = new ProxyHealth(SETTINGS);
+  const now = 1_000_000;
+
+  assert.equal(health.quarantine(now), 60000);
+  assert.equal(health.isQuarantined(now + 59999), true);
+  assert.equal(health.isQuarantined(now + 60000), false);
+
+  health.release();
+  assert.equal(health.stats.samples, 0);
+  health.record({ success: false, durationMs: 100 });
+  assert.equal(health.findQuarantineReason(), "failed again after quarantine");
+  assert.equal(health.quarantine(now), 120000);
+
+  health.release();
+  health.record({ success: true, durationMs: 100 });
+  health.confirmRecovery();
+  assert.equal(health.findQuarantineReason(), null);
+  assert.equal(health.quarantine(now), 60000);
+});
@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+import { JsonlHistoryLog } from "../lib/history.js";
+import { createRestockReportBuilder } from "../lib/report.js";
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "popmart-report-"));
+
+after(() => fs.rm(tempDir, { recursive: true, force: true }));
+
+function observation(ts, stock, skuId = "10528") {
+  return { ts, spuId: "6890", skuId, product: "Energy", stock };
+}
+
+test("aggregates restocks and sell-outs per SKU from a streamed history", async () => {
+  const filePath = path.join(tempDir, "history.jsonl");
+  const lines = [
+    observation("2026-01-15T01:00:00.000Z", 0),
+    observation("2026-01-15T02:00:00.000Z", 12),
+    observation("2026-01-15T02:10:00.000Z", 4, "10529"),
+    "{ unreadable",
+    observation("2026-01-15T02:30:00.000Z", 0),
+    observation("2026-01-15T03:00:00.000Z", 0, "10529"),
+  ].map((line) => (typeof line === "string" ? line : JSON.stringify(line)));
+  await fs.writeFile(filePath, `${lines.join("\n")}\n`, "utf8");
+
+  const builder = createRestockReportBuilder();
+  await new JsonlHistoryLog(filePath).forEachRecord(builder.add);
+  const [product] = builder.build();
+
+  assert.equal(product.name, "Energy");
+  const [single, set] = product.skus;
+  assert.equal(single.observations, 3);
+  assert.equal(single.restocks, 1);
+  assert.equal(single.restockHours[9], 1);
+  assert.equal(single.averageSellOutMs, 30 * 60 * 1000);
+  assert.equal(single.peakStock, 12);
+  assert.equal(single.inStockNow, false);
+  // The set was already in stock when first seen, so neither counts.
+  assert.equal(set.restocks, 0);
+  assert.equal(set.sellOuts, 0);
+});
+
+test("skips observations before the report window", () => {
+  const builder = createRestockReportBuilder({ sinceMs: Date.parse("2026-01-15T02:00:00.000Z") });
+  builder.add(observation("2026-01-15T01:00:00.000Z", 0));
+  builder.add(observation("2026-01-15T02:00:00.000Z", 5));
+  builder.add({ ts: "not a date", spuId: "6890", stock: 1 });
+
+  const [product] = builder.build();
+  assert.equal(product.skus[0].observations, 1);
+  assert.equal(product.skus[0].restocks, 0);
+});
+
+test("reads nothing from a missing history file", async () => {
+  const builder = createRestockReportBuilder();
+  await new JsonlHistoryLog(path.join(tempDir, "missing.jsonl")).forEachRecord(builder.add);
+  assert.deepEqual(builder.build(), []);
+});
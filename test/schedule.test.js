@@ -0,0 +1,32 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  MS_PER_HOUR,
+  MS_PER_MINUTE,
+  getMsSinceStartOfDayInTimeZone,
+  isWithinTimeRangeInTimeZone,
+  parseTimeRange,
+} from "../lib/schedule.js";
+
+test("reads the time of day in the given time zone", () => {
+  const now = new Date("2026-01-15T07:05:30.250Z");
+  const past = 5 * MS_PER_MINUTE + 30250;
+  assert.equal(getMsSinceStartOfDayInTimeZone("Asia/Ho_Chi_Minh", now), 14 * MS_PER_HOUR + past);
+  assert.equal(getMsSinceStartOfDayInTimeZone("America/Los_Angeles", now), 23 * MS_PER_HOUR + past);
+});
+
+test("follows the zone's clock across a DST gap", () => {
+  // New York clocks jump from 02:00 to 03:00 on 2026-03-08.
+  const before = new Date("2026-03-08T06:30:00Z");
+  const after = new Date("2026-03-08T07:30:00Z");
+  assert.equal(getMsSinceStartOfDayInTimeZone("America/New_York", before), 90 * MS_PER_MINUTE);
+  assert.equal(getMsSinceStartOfDayInTimeZone("America/New_York", after), 210 * MS_PER_MINUTE);
+});
+
+test("checks time ranges that wrap past midnight", () => {
+  const quietHours = parseTimeRange("22:00-07:00");
+  const isQuietAt = (iso) => isWithinTimeRangeInTimeZone(quietHours, "Asia/Ho_Chi_Minh", new Date(iso));
+  assert.equal(isQuietAt("2026-01-15T16:00:00Z"), true);
+  assert.equal(isQuietAt("2026-01-15T23:30:00Z"), true);
+  assert.equal(isQuietAt("2026-01-16T00:00:00Z"), false);
+});
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+import { JsonFileStateStore, SqliteStateStore, isSqliteAvailable } from "../lib/state-store.js";
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "popmart-state-"));
+
+after(() => fs.rm(tempDir, { recursive: true, force: true }));
+
+const ENTRY = { stock: 3, lastNotifiedStock: 3, lastNotifiedAt: "2026-01-01T00:00:00.000Z" };
+
+test("json store starts empty without a file and round-trips entries", async () => {
+  const filePath = path.join(tempDir, "round-trip", "state.json");
+  const store = new JsonFileStateStore(filePath);
+  assert.equal((await store.load()).size, 0);
+
+  store.set("1707:0", ENTRY);
+  await store.close();
+
+  const saved = JSON.parse(await fs.readFile(filePath, "utf8"));
+  assert.equal(saved.version, 1);
+  const loaded = await new JsonFileStateStore(filePath).load();
+  assert.deepEqual(Object.fromEntries(loaded), { "1707:0": ENTRY });
+});
+
+test("json store moves a corrupt file aside instead of overwriting it", async () => {
+  const dir = path.join(tempDir, "corrupt");
+  const filePath = path.join(dir, "state.json");
+  await fs.mkdir(dir);
+  await fs.writeFile(filePath, "{ not json", "utf8");
+
+  const store = new JsonFileStateStore(filePath);
+  assert.equal((await store.load()).size, 0);
+
+  const files = await fs.readdir(dir);
+  const corrupt = files.find((name) => name.startsWith("state.json.corrupt-"));
+  assert.ok(corrupt);
+  assert.equal(await fs.readFile(path.join(dir, corrupt), "utf8"), "{ not json");
+});
+
+test("json store rejects a state file it cannot read", async () => {
+  const filePath = path.join(tempDir, "unreadable");
+  await fs.mkdir(filePath);
+  await assert.rejects(new JsonFileStateStore(filePath).load(), /Unable to read state file/);
+});
+
+test("sqlite store round-trips entries or explains the Node.js requirement", async () => {
+  const filePath = path.join(tempDir, "state.sqlite");
+  const store = new SqliteStateStore(filePath);
+
+  if (!(await isSqliteAvailable())) {
+    await assert.rejects(store.load(), /requires Node\.js 22\.13 or newer/);
+    return;
+  }
+
+  assert.equal((await store.load()).size, 0);
+  store.set("1707:0", ENTRY);
+  await store.close();
+
+  const reopened = new SqliteStateStore(filePath);
+  assert.deepEqual(Object.fromEntries(await reopened.load()), { "1707:0": ENTRY });
+  await reopened.close();
+});
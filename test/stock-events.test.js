@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  PRICE_EVENT_TYPES,
+  STOCK_EVENT_TYPES,
+  detectPriceChange,
+  detectStockTransition,
+  parsePriceThreshold,
+} from "../lib/stock-events.js";
+
+test("an SKU first seen in stock counts as a restock", () => {
+  assert.equal(detectStockTransition(undefined, 4), STOCK_EVENT_TYPES.RESTOCK);
+  assert.equal(detectStockTransition(null, 1), STOCK_EVENT_TYPES.RESTOCK);
+  assert.equal(detectStockTransition(undefined, 0), null);
+});
+
+test("classifies stock changes between checks", () => {
+  assert.equal(detectStockTransition(0, 3), STOCK_EVENT_TYPES.RESTOCK);
+  assert.equal(detectStockTransition(3, 0), STOCK_EVENT_TYPES.SOLD_OUT);
+  assert.equal(detectStockTransition(3, 5), STOCK_EVENT_TYPES.INCREASE);
+  assert.equal(detectStockTransition(5, 2), STOCK_EVENT_TYPES.DECREASE);
+  assert.equal(detectStockTransition(5, 5), null);
+  assert.equal(detectStockTransition(0, 0), null);
+});
+
+test("parses price thresholds as amounts or percentages", () => {
+  assert.deepEqual(parsePriceThreshold("20000"), { amount: 20000 });
+  assert.deepEqual(parsePriceThreshold(" 10% "), { percent: 10 });
+  assert.deepEqual(parsePriceThreshold(1.5), { amount: 1.5 });
+  assert.equal(parsePriceThreshold("0"), null);
+  assert.equal(parsePriceThreshold("150%"), null);
+  assert.equal(parsePriceThreshold("cheap"), null);
+});
+
+function pricing(price, discountPrice = null, promotions = []) {
+  return { price, discountPrice, promotions };
+}
+
+test("the first pricing seen for an SKU never alerts", () => {
+  const { state, change } = detectPriceChange(null, pricing(500000, 400000, ["Sale"]), null);
+  assert.equal(change, null);
+  assert.equal(state.referencePrice, 400000);
+});
+
+test("alerts price drops that reach the threshold", () => {
+  const threshold = { percent: 10 };
+  const { state } = detectPriceChange(null, pricing(500000), threshold);
+
+  const small = detectPriceChange(state, pricing(500000, 480000), threshold);
+  assert.equal(small.change, null);
+  // Small cuts add up against the original reference price.
+  assert.equal(small.state.referencePrice, 500000);
+
+  const large = detectPriceChange(small.state, pricing(500000, 450000), threshold);
+  assert.equal(large.change.type, PRICE_EVENT_TYPES.PRICE_DROP);
+  assert.equal(large.change.previousPrice, 500000);
+  assert.equal(large.state.referencePrice, 450000);
+});
+
+test("amount thresholds and price rises move the reference", () => {
+  const threshold = { amount: 20000 };
+  const raised = detectPriceChange({ referencePrice: 400000, promotions: [] }, pricing(450000), threshold);
+  assert.equal(raised.change, null);
+  assert.equal(raised.state.referencePrice, 450000);
+
+  const dropped = detectPriceChange(raised.state, pricing(430000), threshold);
+  assert.equal(dropped.change.type, PRICE_EVENT_TYPES.PRICE_DROP);
+});
+
+test("alerts new promotion labels once", () => {
+  const previous = { price: 500000, discountPrice: null, promotions: ["Freeship"], referencePrice: 500000 };
+  const { state, change } = detectPriceChange(previous, pricing(500000, null, ["Freeship", "Mua 2 giam 5%"]), null);
+  assert.equal(change.type, PRICE_EVENT_TYPES.PROMOTION);
+  assert.deepEqual(change.newPromotions, ["Mua 2 giam 5%"]);
+
+  assert.equal(detectPriceChange(state, pricing(500000, null, ["Mua 2 giam 5%"]), null).change, null);
+});
@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+import { NEW_PRODUCT_TYPE } from "../lib/listings.js";
+import { STOCK_EVENT_TYPES } from "../lib/stock-events.js";
+import { ALL_PRODUCTS, SubscriberRegistry } from "../lib/subscribers.js";
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "popmart-subscribers-"));
+
+const registries = [];
+
+after(async () => {
+  await Promise.all(registries.map((registry) => registry.saving));
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+const PRODUCT = { name: "Energy", spuId: "6890", tags: ["Labubu"] };
+// 23:00 in Los Angeles, 14:00 in Ho Chi Minh City.
+const LATE_IN_LOS_ANGELES = Date.parse("2026-01-15T07:00:00Z");
+
+function createRegistry(name) {
+  const registry = new SubscriberRegistry(path.join(tempDir, `${name}.json`));
+  registries.push(registry);
+  return registry;
+}
+
+function restock(stock, product = PRODUCT) {
+  return { type: STOCK_EVENT_TYPES.RESTOCK, product, data: { stock } };
+}
+
+test("routes alerts to subscribers of the product, its tags or all products", () => {
+  const registry = createRegistry("routing");
+  registry.subscribe("1", "by id", { spuIds: ["6890"] });
+  registry.subscribe("2", "by tag", { tags: ["labubu"] });
+  registry.subscribe("3", "everything", { spuIds: [ALL_PRODUCTS] });
+  registry.subscribe("4", "other", { spuIds: ["1707"] });
+
+  assert.deepEqual(registry.findRecipients(restock(5)), ["1", "2", "3"]);
+  assert.deepEqual(registry.findRecipients(restock(5), { exclude: [2] }), ["1", "3"]);
+  assert.deepEqual(registry.findRecipients({ ...restock(5), test: true }), []);
+});
+
+test("sends new listings only to subscribers of all products", () => {
+  const registry = createRegistry("listings");
+  registry.subscribe("1", "by id", { spuIds: ["6890"] });
+  registry.subscribe("2", "everything", { spuIds: [ALL_PRODUCTS] });
+
+  const listing = { type: NEW_PRODUCT_TYPE, product: { name: "New", spuId: "9999", tags: [] } };
+  assert.deepEqual(registry.findRecipients(listing), ["2"]);
+});
+
+test("holds back alerts below the minimum stock except sell-outs", () => {
+  const registry = createRegistry("min-stock");
+  const subscriber = registry.subscribe("1", "picky", { spuIds: ["6890"] });
+  registry.setMinStock("1", 5);
+
+  assert.equal(registry.isDeliverable(subscriber, restock(3)), false);
+  assert.equal(registry.isDeliverable(subscriber, restock(5)), true);
+  assert.equal(
+    registry.isDeliverable(subscriber, { type: STOCK_EVENT_TYPES.SOLD_OUT, product: PRODUCT, data: { stock: 0 } }),
+    true
+  );
+  // Grouped alerts pass when any SKU reaches the minimum.
+  assert.equal(
+    registry.isDeliverable(subscriber, {
+      type: STOCK_EVENT_TYPES.RESTOCK,
+      product: PRODUCT,
+      data: { skus: [{ stock: 1 }, { stock: 8 }] },
+    }),
+    true
+  );
+});
+
+test("skips muted products until the mute ends", () => {
+  const registry = createRegistry("mute");
+  const subscriber = registry.subscribe("1", "muted", { spuIds: ["6890"] });
+  registry.muteProduct("1", "6890", LATE_IN_LOS_ANGELES + 1000);
+
+  assert.equal(registry.isDeliverable(subscriber, restock(5), LATE_IN_LOS_ANGELES), false);
+  assert.equal(registry.isDeliverable(subscriber, restock(5), LATE_IN_LOS_ANGELES + 1000), true);
+});
+
+test("reads quiet hours in the subscriber's own time zone", () => {
+  const registry = createRegistry("quiet");
+  const abroad = registry.subscribe("1", "abroad", { spuIds: ["6890"] });
+  const home = registry.subscribe("2", "home", { spuIds: ["6890"] });
+  registry.setQuietHours("1", "22:00-07:00", "America/Los_Angeles");
+  registry.setQuietHours("2", "22:00-07:00");
+
+  assert.equal(registry.isDeliverable(abroad, restock(5), LATE_IN_LOS_ANGELES), false);
+  assert.equal(registry.isDeliverable(home, restock(5), LATE_IN_LOS_ANGELES), true);
+  // 02:00 the next night in Ho Chi Minh City.
+  assert.equal(registry.isDeliverable(home, restock(5), Date.parse("2026-01-15T19:00:00Z")), false);
+
+  assert.throws(() => registry.setQuietHours("1", "22:00-07:00", "Mars/Olympus"), /Unknown time zone/);
+});